@@ -17,24 +17,26 @@ const graphqlSchema = require('./graphql/schema');
 const graphqlResolver = require('./graphql/resolvers');
 
 const auth = require('./middleware/auth');
-const { clearImage } = require('./util/file');
+const queryStats = require('./util/query-stats');
+const { createContext } = require('./graphql/context');
+const apiV1Routes = require('./routes/api-v1');
+const { imageSet } = require('./util/file');
+const { storeImage, discardUpload, MAX_UPLOAD_BYTES } = require('./util/images');
+const { UnauthenticatedError, ValidationError, serializeError, formatGraphQLError } = require('./util/errors');
+const rateLimit = require('./util/rate-limit');
+const { canSeePost } = require('./services/access');
 
 const app = express();
+// Behind a proxy, set TRUST_PROXY (e.g. 1) so rate limits see the client's IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
 const Mongo_URI = (process.env.MONGO_URI || '').trim();
 const port = process.env.PORT || 8080;
 
-const fileStorage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, 'images'),
-  filename: (req, file, cb) => cb(null, new Date().toISOString().replace(/:/g, '-') + '-' + file.originalname)
-});
-
-const fileFilter = (req, file, cb) => {
-  if (['image/png', 'image/jpg', 'image/jpeg'].includes(file.mimetype)) cb(null, true);
-  else cb(null, false);
-};
-
 app.use(bodyParser.json());
-app.use(multer({ storage: fileStorage, fileFilter }).single('image'));
+app.use(queryStats.middleware);
 app.use('/images', express.static(path.join(__dirname, 'images')));
 
 // CORS configuration with proper headers for images
@@ -58,41 +60,51 @@ app.use((req, res, next) => {
 
 
 
-app.put('/post-image', auth, (req, res, next) => {
-  if (!req.isAuth) return res.status(401).json({ message: 'Not authenticated!' });
-  if (!req.file) return res.status(200).json({ message: 'No file provided!' });
-  if (req.body.oldPath) clearImage(req.body.oldPath);
-  const filePath = req.file.path.replace(/\\/g, '/');
-  const relativePath = filePath.includes('images')
-    ? filePath.substring(filePath.indexOf('images'))
-    : 'images/' + req.file.filename;
-  res.status(201).json({ message: 'File stored.', filePath: relativePath });
+// Uploads are parsed only after the auth and rate limit checks, so refused requests never reach the disk.
+// They are held in memory and only written once storeImage has checked the bytes.
+const parseUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } }).single('image');
+const upload = (req, res, next) => parseUpload(req, res, err => {
+  if (err instanceof multer.MulterError) {
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? `Images may be at most ${Math.floor(MAX_UPLOAD_BYTES / (1024 * 1024))} MB.`
+      : 'Upload a single file in the "image" field.';
+    return next(new ValidationError('Invalid image.', [{ field: 'image', message }]));
+  }
+  next(err);
+});
+const requireAuth = (req, res, next) => next(req.isAuth ? undefined : new UnauthenticatedError());
+
+app.put('/post-image', auth, requireAuth, rateLimit.middleware('postImage'), upload, async (req, res, next) => {
+  try {
+    if (!req.file) return res.status(200).json({ message: 'No file provided!' });
+    const filePath = await storeImage(req.file.buffer, req.userId);
+    // Only the caller's own uploads that nothing shows any more are deleted
+    if (req.body.oldPath) await discardUpload(req.body.oldPath, req.userId);
+    res.status(201).json({ message: 'File stored.', filePath, images: imageSet(filePath), webpImages: imageSet(filePath, true) });
+  } catch (err) {
+    next(err);
+  }
 });
 
+app.use('/api/v1', auth, rateLimit.middleware('api'), apiV1Routes);
+
 app.use(
   '/graphql',
   auth,
+  rateLimit.middleware('graphql'),
   graphqlHttp((req) => ({
     schema: graphqlSchema,
     rootValue: graphqlResolver,
     graphiql: process.env.NODE_ENV !== 'production',
-    context: { isAuth: req.isAuth, userId: req.userId },
-    formatError(err) {
-      if (!err.originalError) return err;
-      const data = err.originalError.data;
-      const message = err.message || 'An error occurred.';
-      const code = err.originalError.code || 500;
-      return { message, status: code, data };
-    }
+    context: createContext(req),
+    formatError: formatGraphQLError
   }))
 );
 
 app.use((error, req, res, next) => {
-  console.error('Express Error Middleware Caught:', error);
-  const status = error.statusCode || 500;
-  const message = error.message;
-  const data = error.data;
-  res.status(status).json({ message, data });
+  const { status, message, data, extensions } = serializeError(error);
+  if (extensions.retryAfter !== undefined) res.set('Retry-After', String(extensions.retryAfter));
+  res.status(status).json({ message, data, code: extensions.code });
 });
 
 if (!Mongo_URI) {
@@ -105,9 +117,10 @@ mongoose
   .connect(Mongo_URI)
   .then(() => {
     console.log('Successfully connected to MongoDB.');
-    app.listen(port, () => {
+    const server = app.listen(port, () => {
       console.log(`Server is running! Port: ${port}`);
     });
+    require('./socket').init(server, { canJoinPost: canSeePost });
   })
   .catch(err => {
     console.error('SERVER CRASH: MongoDB connection failed!');
@@ -0,0 +1,47 @@
+// Find users whose follow lists, post lists or saved posts have drifted from the
+// rest of the data (e.g. after a crash between two writes), and posts and comments
+// whose like counts are off, and optionally repair them. --fix also backfills likesCount.
+// Usage: node check-integrity.js          (report only)
+//        node check-integrity.js --fix    (report and repair)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { checkIntegrity } = require('./util/integrity');
+
+const MONGO_URI = (process.env.MONGO_URI || '').trim();
+const repair = process.argv.includes('--fix');
+
+async function runIntegrityCheck() {
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB\n');
+        console.log(repair ? 'Checking and repairing user lists...\n' : 'Checking user lists (report only)...\n');
+
+        const report = await checkIntegrity({ repair });
+        Object.entries(report.lists).forEach(([list, { users, added, removed }]) => {
+            const icon = users === 0 ? '✅' : repair ? '🔧' : '⚠️ ';
+            console.log(`${icon} ${list}: ${users} user(s) off, ${added} id(s) missing, ${removed} id(s) extra`);
+        });
+        if (report.orphanedPosts > 0) {
+            console.log(`\n⚠️  Posts whose author no longer exists: ${report.orphanedPosts} (left for manual review)`);
+        }
+
+        Object.entries(report.likesCounts).forEach(([name, count]) => {
+            const icon = count === 0 ? '✅' : repair ? '🔧' : '⚠️ ';
+            console.log(`${icon} ${name}: ${count} with a likesCount that does not match their likes`);
+        });
+
+        const likesDrifted = Object.values(report.likesCounts).some(count => count > 0);
+        console.log(`\n${report.drifted} of ${report.users} user(s) had drifted.`);
+        if (report.drifted > 0 || likesDrifted) {
+            console.log(repair ? '✅ Repaired.' : 'Run again with --fix to repair them.');
+        }
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+}
+
+runIntegrityCheck();
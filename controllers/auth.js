@@ -1,106 +1,57 @@
-const { validationResult } = require('express-validator/check');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-
-const User = require('../models/user');
+const { createContext } = require('../graphql/context');
+const { mapUserData } = require('../graphql/mappers');
+const { UserService } = require('../services');
+const { text } = require('./params');
+const { USER, render } = require('./views');
 
 exports.signup = async (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    const error = new Error('Validation failed.');
-    error.statusCode = 422;
-    error.data = errors.array();
-    throw error;
-  }
-  const email = req.body.email;
-  const name = req.body.name;
-  const password = req.body.password;
+  const context = createContext(req);
+  const { email, name, password, username } = req.body;
   try {
-    const hashedPw = await bcrypt.hash(password, 12);
-
-    const user = new User({
-      email: email,
-      password: hashedPw,
-      name: name
+    const user = await UserService.create(context, {
+      email: text(email),
+      name: text(name),
+      password: text(password),
+      username: text(username)
     });
-    const result = await user.save();
-    res.status(201).json({ message: 'User created!', userId: result._id });
+    res.status(201).json({ message: 'User created!', user: await render(mapUserData(user), USER, context) });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
 exports.login = async (req, res, next) => {
-  const email = req.body.email;
-  const password = req.body.password;
-  let loadedUser;
   try {
-    const user = await User.findOne({ email: email });
-    if (!user) {
-      const error = new Error('A user with this email could not be found.');
-      error.statusCode = 401;
-      throw error;
-    }
-    loadedUser = user;
-    const isEqual = await bcrypt.compare(password, user.password);
-    if (!isEqual) {
-      const error = new Error('Wrong password!');
-      error.statusCode = 401;
-      throw error;
-    }
-    const token = jwt.sign(
-      {
-        email: loadedUser.email,
-        userId: loadedUser._id.toString()
-      },
-      process.env.JWT_SECRET ,
-      { expiresIn: '1h' }
-    );
-    res.status(200).json({ token: token, userId: loadedUser._id.toString() });
+    const tokens = await UserService.login(createContext(req), text(req.body.email), text(req.body.password));
+    res.status(200).json(tokens);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.refresh = async (req, res, next) => {
+  try {
+    const tokens = await UserService.refresh(createContext(req), text(req.body.refreshToken));
+    res.status(200).json(tokens);
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
-exports.getUserStatus = async (req, res, next) => {
+exports.logout = async (req, res, next) => {
   try {
-    const user = await User.findById(req.userId);
-    if (!user) {
-      const error = new Error('User not found.');
-      error.statusCode = 404;
-      throw error;
-    }
-    res.status(200).json({ status: user.status });
+    await UserService.logout(createContext(req), text(req.body.refreshToken));
+    res.status(204).end();
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
-exports.updateUserStatus = async (req, res, next) => {
-  const newStatus = req.body.status;
+exports.logoutAll = async (req, res, next) => {
   try {
-    const user = await User.findById(req.userId);
-    if (!user) {
-      const error = new Error('User not found.');
-      error.statusCode = 404;
-      throw error;
-    }
-    user.status = newStatus;
-    await user.save();
-    res.status(200).json({ message: 'User updated.' });
+    await UserService.logoutAll(createContext(req));
+    res.status(204).end();
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
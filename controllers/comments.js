@@ -0,0 +1,94 @@
+const { createContext } = require('../graphql/context');
+const { mapCommentData } = require('../graphql/mappers');
+const { pageArgsFromQuery } = require('../util/pagination');
+const { CommentService } = require('../services');
+const { text } = require('./params');
+const { COMMENT, render } = require('./views');
+
+const renderComment = async (comment, context) => render(await mapCommentData(comment, context), COMMENT, context);
+const renderComments = (comments, context) => Promise.all(comments.map(c => renderComment(c, context)));
+
+/* Top-level comments of a post; replies are fetched per comment */
+exports.getComments = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const { comments, totalComments, pageInfo } = await CommentService.list(context, req.params.postId, pageArgsFromQuery(req.query));
+    res.status(200).json({ comments: await renderComments(comments, context), totalComments, pageInfo });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getReplies = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const { replies, totalReplies, pageInfo } = await CommentService.replies(context, req.params.commentId, pageArgsFromQuery(req.query));
+    res.status(200).json({ replies: await renderComments(replies, context), totalReplies, pageInfo });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* Comment on a post, or reply to one of its comments when `parentId` is given */
+exports.createComment = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const comment = await CommentService.add(context, {
+      postId: req.params.postId,
+      content: text(req.body.content),
+      parentId: text(req.body.parentId)
+    });
+    res.status(201).json({ comment: await renderComment(comment, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateComment = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const comment = await CommentService.update(context, req.params.commentId, text(req.body.content));
+    res.status(200).json({ comment: await renderComment(comment, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.deleteComment = async (req, res, next) => {
+  try {
+    await CommentService.remove(createContext(req), req.params.commentId);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.restoreComment = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const comment = await CommentService.restore(context, req.params.commentId);
+    res.status(200).json({ comment: await renderComment(comment, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.likeComment = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const comment = await CommentService.like(context, req.params.commentId);
+    res.status(200).json({ comment: await renderComment(comment, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.unlikeComment = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const comment = await CommentService.unlike(context, req.params.commentId);
+    res.status(200).json({ comment: await renderComment(comment, context) });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,178 +1,132 @@
-const fs = require('fs');
-const path = require('path');
+const { createContext } = require('../graphql/context');
+const { mapPostData, mapUserData } = require('../graphql/mappers');
+const { pageArgsFromQuery } = require('../util/pagination');
+const { PostService } = require('../services');
+const { text } = require('./params');
+const { POST, USER_SUMMARY, render } = require('./views');
 
-const { validationResult } = require('express-validator/check');
+/* Title, content and image of a post as sent by the client */
+const postInput = body => ({ title: text(body.title), content: text(body.content), imageUrl: text(body.imageUrl) });
 
-const io = require('../socket');
-const Post = require('../models/post');
-const User = require('../models/user');
+const renderPost = async (post, context) => render(await mapPostData(post, context), POST, context);
+const renderPosts = (posts, context) => Promise.all(posts.map(p => renderPost(p, context)));
 
 exports.getPosts = async (req, res, next) => {
-  const currentPage = req.query.page || 1;
-  const perPage = 2;
+  const context = createContext(req);
   try {
-    const totalItems = await Post.find().countDocuments();
-    const posts = await Post.find()
-      .populate('creator')
-      .sort({ createdAt: -1 })
-      .skip((currentPage - 1) * perPage)
-      .limit(perPage);
-
-    res.status(200).json({
-      message: 'Fetched posts successfully.',
-      posts: posts,
-      totalItems: totalItems
-    });
+    const { posts, totalPosts, pageInfo } = await PostService.list(context, pageArgsFromQuery(req.query));
+    res.status(200).json({ posts: await renderPosts(posts, context), totalPosts, pageInfo });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
-exports.createPost = async (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    const error = new Error('Validation failed, entered data is incorrect.');
-    error.statusCode = 422;
-    throw error;
-  }
-  if (!req.file) {
-    const error = new Error('No image provided.');
-    error.statusCode = 422;
-    throw error;
-  }
-  const imageUrl = req.file.path;
-  const title = req.body.title;
-  const content = req.body.content;
-  const post = new Post({
-    title: title,
-    content: content,
-    imageUrl: imageUrl,
-    creator: req.userId
-  });
+exports.getFeed = async (req, res, next) => {
+  const context = createContext(req);
+  const { first, after } = pageArgsFromQuery(req.query);
   try {
-    await post.save();
-    const user = await User.findById(req.userId);
-    user.posts.push(post);
-    await user.save();
-    io.getIO().emit('posts', {
-      action: 'create',
-      post: { ...post._doc, creator: { _id: req.userId, name: user.name } }
-    });
-    res.status(201).json({
-      message: 'Post created successfully!',
-      post: post,
-      creator: { _id: user._id, name: user.name }
-    });
+    const { posts, mode, pageInfo } = await PostService.feed(context, { first, after, mode: text(req.query.mode) });
+    res.status(200).json({ posts: await renderPosts(posts, context), mode, pageInfo });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
 exports.getPost = async (req, res, next) => {
-  const postId = req.params.postId;
-  const post = await Post.findById(postId);
+  const context = createContext(req);
+  try {
+    const post = await PostService.get(context, req.params.postId);
+    res.status(200).json({ post: await renderPost(post, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.createPost = async (req, res, next) => {
+  const context = createContext(req);
   try {
-    if (!post) {
-      const error = new Error('Could not find post.');
-      error.statusCode = 404;
-      throw error;
-    }
-    res.status(200).json({ message: 'Post fetched.', post: post });
+    const post = await PostService.create(context, postInput(req.body));
+    res.status(201).json({ message: 'Post created successfully!', post: await renderPost(post, context) });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
 exports.updatePost = async (req, res, next) => {
-  const postId = req.params.postId;
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    const error = new Error('Validation failed, entered data is incorrect.');
-    error.statusCode = 422;
-    throw error;
+  const context = createContext(req);
+  try {
+    const post = await PostService.update(context, req.params.postId, postInput(req.body));
+    res.status(200).json({ message: 'Post updated!', post: await renderPost(post, context) });
+  } catch (err) {
+    next(err);
   }
-  const title = req.body.title;
-  const content = req.body.content;
-  let imageUrl = req.body.image;
-  if (req.file) {
-    imageUrl = req.file.path;
+};
+
+exports.deletePost = async (req, res, next) => {
+  try {
+    await PostService.remove(createContext(req), req.params.postId);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
   }
-  if (!imageUrl) {
-    const error = new Error('No file picked.');
-    error.statusCode = 422;
-    throw error;
+};
+
+exports.restorePost = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const post = await PostService.restore(context, req.params.postId);
+    res.status(200).json({ post: await renderPost(post, context) });
+  } catch (err) {
+    next(err);
   }
+};
+
+exports.likePost = async (req, res, next) => {
+  const context = createContext(req);
   try {
-    const post = await Post.findById(postId).populate('creator');
-    if (!post) {
-      const error = new Error('Could not find post.');
-      error.statusCode = 404;
-      throw error;
-    }
-    if (post.creator._id.toString() !== req.userId) {
-      const error = new Error('Not authorized!');
-      error.statusCode = 403;
-      throw error;
-    }
-    if (imageUrl !== post.imageUrl) {
-      clearImage(post.imageUrl);
-    }
-    post.title = title;
-    post.imageUrl = imageUrl;
-    post.content = content;
-    const result = await post.save();
-    io.getIO().emit('posts', { action: 'update', post: result });
-    res.status(200).json({ message: 'Post updated!', post: result });
+    const post = await PostService.like(context, req.params.postId);
+    res.status(200).json({ post: await renderPost(post, context) });
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
-exports.deletePost = async (req, res, next) => {
-  const postId = req.params.postId;
+exports.unlikePost = async (req, res, next) => {
+  const context = createContext(req);
   try {
-    const post = await Post.findById(postId);
+    const post = await PostService.unlike(context, req.params.postId);
+    res.status(200).json({ post: await renderPost(post, context) });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    if (!post) {
-      const error = new Error('Could not find post.');
-      error.statusCode = 404;
-      throw error;
-    }
-    if (post.creator.toString() !== req.userId) {
-      const error = new Error('Not authorized!');
-      error.statusCode = 403;
-      throw error;
-    }
-    
-    clearImage(post.imageUrl);
-    await Post.findByIdAndRemove(postId);
+/* Who liked a post, a page at a time: ?first=20&after=<endCursor> */
+exports.getLikers = async (req, res, next) => {
+  const context = createContext(req);
+  const { first, after } = pageArgsFromQuery(req.query);
+  try {
+    const { users, likesCount, pageInfo } = await PostService.likers(context, req.params.postId, { cursor: after, limit: first });
+    res.status(200).json({ likers: await render(users.map(u => mapUserData(u)), USER_SUMMARY, context), likesCount, pageInfo });
+  } catch (err) {
+    next(err);
+  }
+};
 
-    const user = await User.findById(req.userId);
-    user.posts.pull(postId);
-    await user.save();
-    io.getIO().emit('posts', { action: 'delete', post: postId });
-    res.status(200).json({ message: 'Deleted post.' });
+exports.savePost = async (req, res, next) => {
+  try {
+    await PostService.save(createContext(req), req.params.postId);
+    res.status(204).end();
   } catch (err) {
-    if (!err.statusCode) {
-      err.statusCode = 500;
-    }
     next(err);
   }
 };
 
-const clearImage = filePath => {
-  filePath = path.join(__dirname, '..', filePath);
-  fs.unlink(filePath, err => console.log(err));
+exports.unsavePost = async (req, res, next) => {
+  try {
+    await PostService.unsave(createContext(req), req.params.postId);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
 };
@@ -0,0 +1,83 @@
+const { createContext } = require('../graphql/context');
+const { mapUserData } = require('../graphql/mappers');
+const { FollowService } = require('../services');
+const { USER_SUMMARY, render } = require('./views');
+
+const renderUsers = (users, context) => render(users.map(u => mapUserData(u)), USER_SUMMARY, context);
+
+exports.getFollowers = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const followers = await FollowService.followers(context, req.params.userId);
+    res.status(200).json({ followers: await renderUsers(followers, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getFollowing = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const following = await FollowService.following(context, req.params.userId);
+    res.status(200).json({ following: await renderUsers(following, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* Follow a user; private accounts get a follow request instead */
+exports.follow = async (req, res, next) => {
+  try {
+    const followStatus = await FollowService.follow(createContext(req), req.params.userId);
+    res.status(200).json({ followStatus });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* Unfollow a user, or withdraw a pending follow request */
+exports.unfollow = async (req, res, next) => {
+  try {
+    const followStatus = await FollowService.unfollow(createContext(req), req.params.userId);
+    res.status(200).json({ followStatus });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getFollowRequests = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const requests = await FollowService.requests(context);
+    res.status(200).json({ requests: await renderUsers(requests, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.approveFollowRequest = async (req, res, next) => {
+  try {
+    await FollowService.approveRequest(createContext(req), req.params.userId);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.rejectFollowRequest = async (req, res, next) => {
+  try {
+    await FollowService.rejectRequest(createContext(req), req.params.userId);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.removeFollower = async (req, res, next) => {
+  try {
+    await FollowService.removeFollower(createContext(req), req.params.userId);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,13 @@
+// Request values as the services expect them. GraphQL checks argument types
+// before a resolver runs; REST bodies can hold anything JSON can, so handlers
+// pass their input through these first.
+
+/* A string field: numbers and booleans are taken as text, anything else as missing */
+exports.text = value => {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return undefined;
+};
+
+/* A true/false field; anything else counts as missing */
+exports.flag = value => (typeof value === 'boolean' ? value : undefined);
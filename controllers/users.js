@@ -0,0 +1,97 @@
+const { createContext } = require('../graphql/context');
+const { mapPostData, mapProfile, mapUserData } = require('../graphql/mappers');
+const { UserService } = require('../services');
+const { text, flag } = require('./params');
+const { USER, POST, render } = require('./views');
+
+const renderProfile = async (profile, context) => render(await mapProfile(profile, context), USER, context);
+
+exports.getMe = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const profile = await UserService.getProfile(context, context.userId);
+    res.status(200).json({ user: await renderProfile(profile, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* Change any of name, username, bio, status, avatar and isPrivate */
+exports.updateMe = async (req, res, next) => {
+  const context = createContext(req);
+  const { name, username, bio, status, avatar, isPrivate } = req.body;
+  try {
+    const user = await UserService.update(context, {
+      name: text(name),
+      username: text(username),
+      bio: text(bio),
+      status: text(status),
+      avatar: text(avatar),
+      isPrivate: flag(isPrivate)
+    });
+    res.status(200).json({ user: await render(mapUserData(user), USER, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getUserStatus = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const profile = await UserService.getProfile(context, context.userId);
+    const { status } = await render(await mapProfile(profile, context), { status: true }, context);
+    res.status(200).json({ status });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateUserStatus = async (req, res, next) => {
+  try {
+    await UserService.updateStatus(createContext(req), text(req.body.status));
+    res.status(200).json({ message: 'User updated.' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getUser = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const profile = await UserService.getProfile(context, req.params.userId);
+    res.status(200).json({ user: await renderProfile(profile, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/* Old handles resolve too; the returned username is the current one */
+exports.getUserByUsername = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const profile = await UserService.getProfileByUsername(context, req.params.username);
+    res.status(200).json({ user: await renderProfile(profile, context) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getUsernameAvailability = async (req, res, next) => {
+  try {
+    const available = await UserService.isUsernameAvailable(createContext(req), req.params.username);
+    res.status(200).json({ username: req.params.username, available });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getUserPosts = async (req, res, next) => {
+  const context = createContext(req);
+  try {
+    const { posts } = await UserService.getProfile(context, req.params.userId);
+    const mapped = await Promise.all(posts.map(p => mapPostData(p, context)));
+    res.status(200).json({ posts: await render(mapped, POST, context) });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,114 @@
+// What the REST API returns for each type. Views pick fields from the objects
+// the mappers in graphql/mappers.js build, so both APIs share the same payloads
+// and per-field privacy rules: fields guarded by privacy settings resolve to
+// null for viewers who may not see them.
+//
+// A view lists each field as `true` (taken as is), as a nested view, or as
+// `field(view, { from, args })` for a renamed field or one taking arguments.
+
+class Field {
+  constructor(view, { from, args = {} } = {}) {
+    this.view = view;
+    this.from = from;
+    this.args = args;
+  }
+}
+
+const field = (view, options) => new Field(view, options);
+
+const IMAGE_SET = { thumb: true, medium: true, full: true };
+
+exports.USER_SUMMARY = {
+  _id: true,
+  name: true,
+  username: true,
+  avatar: true,
+  images: IMAGE_SET,
+  isPrivate: true,
+  followStatus: true
+};
+
+exports.USER = {
+  _id: true,
+  name: true,
+  username: true,
+  email: true,
+  emailVerified: true,
+  bio: true,
+  status: true,
+  privacy: { bio: true, status: true, followLists: true, savedPosts: true },
+  isPrivate: true,
+  followStatus: true,
+  isBlocked: true,
+  isMuted: true,
+  role: true,
+  suspended: true,
+  avatar: true,
+  images: IMAGE_SET,
+  webpImages: field(IMAGE_SET, { from: 'images', args: { webp: true } }),
+  followersCount: true,
+  followingCount: true,
+  postsCount: true
+};
+
+const MENTION = { _id: true, username: true };
+
+exports.POST = {
+  _id: true,
+  title: true,
+  content: true,
+  imageUrl: true,
+  images: IMAGE_SET,
+  webpImages: field(IMAGE_SET, { from: 'images', args: { webp: true } }),
+  creator: exports.USER_SUMMARY,
+  likesCount: true,
+  likedByViewer: true,
+  commentsCount: true,
+  tags: true,
+  mentions: MENTION,
+  hidden: true,
+  edited: true,
+  editedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+exports.COMMENT = {
+  _id: true,
+  content: true,
+  parentId: true,
+  depth: true,
+  creator: exports.USER_SUMMARY,
+  likesCount: true,
+  likedByViewer: true,
+  repliesCount: true,
+  tags: true,
+  mentions: MENTION,
+  hidden: true,
+  deleted: true,
+  edited: true,
+  editedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+exports.PAGE_INFO = { hasNextPage: true, hasPreviousPage: true, startCursor: true, endCursor: true };
+
+/**
+ * Turn a mapped object (or a list of them) into the plain JSON `view`
+ * describes. Fields the mappers resolve per viewer are called with their
+ * arguments and `context`, as GraphQL would; missing fields come out as null.
+ */
+const render = async (value, view, context) => {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return Promise.all(value.map(item => render(item, view, context)));
+
+  const fields = await Promise.all(Object.entries(view).map(async ([key, spec]) => {
+    const { view: nested, from = key, args = {} } = spec instanceof Field ? spec : { view: spec === true ? null : spec };
+    const resolved = await (typeof value[from] === 'function' ? value[from](args, context) : value[from]);
+    return [key, nested && resolved != null ? await render(resolved, nested, context) : resolved ?? null];
+  }));
+  return Object.fromEntries(fields);
+};
+
+exports.render = render;
@@ -0,0 +1,12 @@
+const { createLoaders } = require('../util/loaders');
+
+/* Per-request context handed to the resolvers and services, whichever API the request came in through */
+const createContext = req => ({
+  isAuth: req.isAuth,
+  userId: req.userId,
+  sessionId: req.sessionId,
+  ip: req.ip,
+  loaders: createLoaders()
+});
+
+module.exports = { createContext };
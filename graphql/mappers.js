@@ -0,0 +1,241 @@
+const User = require('../models/user');
+const Comment = require('../models/comment');
+const { imageSet } = require('../util/file');
+const { loadUser, loadUsers } = require('../util/loaders');
+const { mapPrivacySettings, getViewer, canView } = require('../services/access');
+
+// Turn documents into GraphQL payloads. Fields the viewer may or may not see
+// are functions, resolved per request with (args, context).
+
+/* ✅ Helper resolving stored mention ids to users lazily, only when the field is queried */
+function mentionsResolver(ids) {
+  return (args, context) => loadUsers(ids, context?.loaders).then(users => users.map(u => mapUserData(u)));
+}
+
+/* ✅ Helper turning a profile value into a field resolver that only answers permitted viewers.
+   GraphQL calls function-valued fields with (args, context), so the check runs per request. */
+function privateField(ownerId, level, value, hidden = null) {
+  return async (args, context) => ((await canView(context, ownerId, level)) ? value : hidden);
+}
+
+/* ✅ Helper telling whether the viewer has a pending follow request with `u` */
+async function hasRequested(u, viewer, loaders) {
+  const viewerId = viewer._id.toString();
+  if (Array.isArray(u.followRequests)) return u.followRequests.some(r => r.toString() === viewerId);
+  if (!loaders) return !!(await User.exists({ _id: u._id, followRequests: viewer._id }));
+  const requests = await loaders.followRequests.load(u._id);
+  return !!requests && requests.followRequests.some(r => r.toString() === viewerId);
+}
+
+/* ✅ Helper resolving how the viewer relates to `u`: 'self', 'following', 'requested' or 'none' */
+function resolveFollowStatus(u) {
+  const id = u._id.toString();
+  return async (args, context) => {
+    const viewer = await getViewer(context);
+    if (!viewer) return 'none';
+    if (viewer._id.toString() === id) return 'self';
+    if (viewer.following.some(f => f.toString() === id)) return 'following';
+    // Only private accounts take follow requests
+    if (!u.isPrivate) return 'none';
+    return (await hasRequested(u, viewer, context.loaders)) ? 'requested' : 'none';
+  };
+}
+
+/* ✅ Helper resolving whether `u` is on one of the viewer's own lists ('blocked' or 'muted') */
+function resolveViewerList(u, list) {
+  const id = u._id.toString();
+  return async (args, context) => {
+    const viewer = await getViewer(context);
+    return !!viewer && viewer[list].some(v => v.toString() === id);
+  };
+}
+
+/* ✅ Helper to gate the lists of a full profile payload by the owner's privacy settings */
+function gateProfileLists(user, profile) {
+  const privacy = mapPrivacySettings(user.privacy);
+  return {
+    ...profile,
+    followers: privateField(user._id, privacy.followLists, profile.followers || [], []),
+    following: privateField(user._id, privacy.followLists, profile.following || [], []),
+    savedPosts: privateField(user._id, privacy.savedPosts, profile.savedPosts || [], [])
+  };
+}
+
+/* ✅ Helper to map User objects consistently.
+   Only public fields are copied; email and privacy-guarded fields resolve per viewer
+   and the password hash is never part of the payload. */
+function mapUserData(u) {
+  if (!u) {
+    return {
+      _id: 'deleted',
+      name: 'Deleted User',
+      username: 'deleted',
+      email: null,
+      emailVerified: null,
+      isPrivate: false,
+      followStatus: 'none',
+      isBlocked: false,
+      isMuted: false,
+      bio: '',
+      status: 'Inactive',
+      role: 'user',
+      suspended: false,
+      avatar: '',
+      images: null,
+      posts: [],
+      savedPosts: [],
+      followers: [],
+      following: [],
+      followersCount: 0,
+      followingCount: 0,
+      postsCount: 0
+    };
+  }
+  if (!u._id) u = { _id: u };
+  const id = u._id.toString();
+  const privacy = mapPrivacySettings(u.privacy);
+  const avatar = u.avatar && u.avatar.includes('via.placeholder.com') ? '' : (u.avatar || '');
+  return {
+    _id: id,
+    name: u.name || 'Unknown User',
+    username: u.username || '',
+    email: privateField(id, 'nobody', u.email || null),
+    emailVerified: privateField(id, 'nobody', !!u.emailVerified),
+    bio: privateField(id, privacy.bio, u.bio || ''),
+    status: privateField(id, privacy.status, u.status || 'Active'),
+    privacy: privateField(id, 'nobody', privacy),
+    isPrivate: !!u.isPrivate,
+    followStatus: resolveFollowStatus(u),
+    isBlocked: resolveViewerList(u, 'blocked'),
+    isMuted: resolveViewerList(u, 'muted'),
+    role: u.role || 'user',
+    suspended: !!u.suspended,
+    suspendedAt: u.suspendedAt ? u.suspendedAt.toISOString() : null,
+    suspendedReason: privateField(id, 'nobody', u.suspendedReason || ''),
+    avatar,
+    images: ({ webp }) => imageSet(avatar, !!webp),
+    posts: [],
+    savedPosts: [],
+    followers: [],
+    following: [],
+    followersCount: Array.isArray(u.followers) ? u.followers.length : 0,
+    followingCount: Array.isArray(u.following) ? u.following.length : 0,
+    postsCount: Array.isArray(u.posts) ? u.posts.length : 0
+  };
+}
+
+/* ✅ Helper resolving the users behind stored like ids lazily, only when the field is queried.
+   Lists of posts and comments only need `likesCount` and `likedByViewer`. */
+function likesResolver(ids) {
+  return (args, context) => loadUsers(ids, context?.loaders).then(users => users.map(u => mapUserData(u)));
+}
+
+/* ✅ Helper resolving whether the viewer is among the stored like ids */
+function resolveLikedByViewer(ids) {
+  return (args, context) => !!context?.isAuth && (ids || []).some(id => id.toString() === context.userId.toString());
+}
+
+/* ✅ Helper reading how many likes a post or comment has. Documents stored before
+   `likesCount` existed load with its default of 0, so their likes are counted instead
+   until migrate-likes-count.js has backfilled the field. */
+function likesCountOf(doc) {
+  const stored = typeof doc.$isDefault === 'function' && doc.$isDefault('likesCount') ? undefined : doc.likesCount;
+  return stored ?? (doc.likes || []).length;
+}
+
+/* ✅ Helper to map Post objects consistently for return */
+async function mapPostData(p, context) {
+  if (!p) return null;
+  const loaders = context?.loaders;
+  const doc = p._doc || p;
+  const [commentsCount, creator] = await Promise.all([
+    loaders ? loaders.commentsCount.load(p._id) : Comment.countDocuments({ post: p._id, parentId: null, deletedAt: null }),
+    loadUser(p.creator, loaders)
+  ]);
+
+  let imageUrl = p.imageUrl || '';
+  if (imageUrl.includes('via.placeholder.com')) {
+    imageUrl = '';
+  }
+
+  return {
+    ...doc,
+    _id: p._id.toString(),
+    imageUrl: imageUrl,
+    images: ({ webp }) => imageSet(imageUrl, !!webp),
+    title: p.title || 'Untitled Post',
+    content: p.content || '',
+    createdAt: p.createdAt ? p.createdAt.toISOString() : new Date().toISOString(),
+    updatedAt: p.updatedAt ? p.updatedAt.toISOString() : (p.createdAt ? p.createdAt.toISOString() : new Date().toISOString()),
+    likes: likesResolver(p.likes),
+    likesCount: likesCountOf(p),
+    likedByViewer: resolveLikedByViewer(p.likes),
+    commentsCount: commentsCount,
+    comments: [],
+    tags: p.tags || [],
+    mentions: mentionsResolver(p.mentions),
+    hidden: !!p.hidden,
+    edited: !!p.editedAt,
+    editedAt: p.editedAt ? p.editedAt.toISOString() : null,
+    creator: mapUserData(creator)
+  };
+}
+
+/* ✅ Helper to map Comment objects consistently.
+   Pass `repliesCount` when it is already known to skip the count query. */
+async function mapCommentData(c, context, repliesCount) {
+  if (!c) return null;
+  const loaders = context?.loaders;
+  const doc = c._doc || c;
+  const [creator, count] = await Promise.all([
+    loadUser(c.creator, loaders),
+    repliesCount !== undefined ? repliesCount
+      : loaders ? loaders.repliesCount.load(c._id)
+        : Comment.countDocuments({ parentId: c._id, deletedAt: null })
+  ]);
+
+  // Deleted comments are only ever shown as placeholders holding their replies in place
+  const deleted = !!c.deletedAt;
+  return {
+    ...doc,
+    _id: c._id.toString(),
+    content: deleted ? '[deleted]' : c.content,
+    createdAt: c.createdAt ? c.createdAt.toISOString() : new Date().toISOString(),
+    updatedAt: c.updatedAt ? c.updatedAt.toISOString() : (c.createdAt ? c.createdAt.toISOString() : new Date().toISOString()),
+    likesCount: deleted ? 0 : likesCountOf(c),
+    likes: likesResolver(deleted ? [] : c.likes),
+    likedByViewer: resolveLikedByViewer(deleted ? [] : c.likes),
+    creator: mapUserData(deleted ? null : creator),
+    tags: deleted ? [] : c.tags || [],
+    mentions: mentionsResolver(deleted ? [] : c.mentions),
+    hidden: !!c.hidden,
+    deleted,
+    edited: !!c.editedAt,
+    editedAt: c.editedAt ? c.editedAt.toISOString() : null,
+    replies: [], // Recursion handled elsewhere if needed
+    repliesCount: count
+  };
+}
+
+/* ✅ Helper to map a full profile as loaded by UserService.getProfile */
+async function mapProfile({ user, posts, savedPosts, followers, following }, context) {
+  return gateProfileLists(user, {
+    ...mapUserData(user),
+    savedPosts: await Promise.all(savedPosts.map(p => mapPostData(p, context))),
+    posts: await Promise.all(posts.map(p => mapPostData(p, context))),
+    followers: followers.map(u => mapUserData(u)),
+    following: following.map(u => mapUserData(u))
+  });
+}
+
+module.exports = {
+  mentionsResolver,
+  privateField,
+  resolveFollowStatus,
+  resolveViewerList,
+  gateProfileLists,
+  mapUserData,
+  mapPostData,
+  mapCommentData,
+  mapProfile
+};
@@ -1,743 +1,1071 @@
-const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const validator = require('validator');
-const jwt = require('jsonwebtoken');
 
 const User = require('../models/user');
 const Post = require('../models/post');
 const Comment = require('../models/comment');
-const { clearImage } = require('../util/file');
+const Notification = require('../models/notification');
+const Report = require('../models/report');
+const AuditLog = require('../models/audit-log');
+const { releaseImage, releaseUploadsOf } = require('../util/images');
+const { UnauthenticatedError, NotFoundError, ConflictError, ValidationError, assertValid } = require('../util/errors');
+const { tokenize, escapeRegex, buildSnippet } = require('../util/search');
+const { normalizeTag } = require('../util/entities');
+const { clampLimit, buildPageInfo, paginate } = require('../util/pagination');
+const { USER_SUMMARY_FIELDS, loadUser } = require('../util/loaders');
+const io = require('../socket');
+const { retract, removeForTargets, removeForUser } = require('../util/notifications');
+const { limit } = require('../util/rate-limit');
+const { removeRevisions } = require('../util/revisions');
+const { withTransaction } = require('../util/transaction');
+const { revokeAllSessions } = require('../util/token');
+const { UserService, PostService, CommentService, FollowService } = require('../services');
+const {
+  PRIVACY_LEVELS, PRIVACY_DEFAULTS, mapPrivacySettings, getBlockedIds, visibleCommentFilter, hiddenContentFilter,
+  visiblePostFilter, requirePostVisible, canSeePost, requireAdmin
+} = require('../services/access');
+const { COMMENT_MAX_DEPTH, liveThreadFilter, softDeletePost, softDeleteComment } = require('../services/content');
+const { mapUserData, mapPostData, mapCommentData, mapProfile } = require('./mappers');
+
+/* ✅ Helper to clamp a client-requested thread depth to the configured maximum */
+function threadDepth(maxDepth) {
+  if (maxDepth === undefined || maxDepth === null) return COMMENT_MAX_DEPTH;
+  return Math.min(Math.max(maxDepth, 0), COMMENT_MAX_DEPTH);
+}
 
-async function getRepliesRecursive(parentId) {
-  const replies = await Comment.find({ parentId })
-    .sort({ createdAt: -1 })
-    .populate('creator', 'name email status role avatar')
-    .populate('likes', 'name email status role avatar');
+/* ✅ Helper to count direct replies for many comments with a single query */
+async function countReplies(commentIds) {
+  if (commentIds.length === 0) return new Map();
+  const counts = await Comment.aggregate([
+    { $match: { parentId: { $in: commentIds }, deletedAt: null } },
+    { $group: { _id: '$parentId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [c._id.toString(), c.count]));
+}
 
-  return Promise.all(replies.map(async r => {
-    const rDoc = r._doc || r;
-    return {
-      ...rDoc,
-      _id: r._id.toString(),
-      createdAt: r.createdAt ? r.createdAt.toISOString() : new Date().toISOString(),
-      updatedAt: r.updatedAt ? r.updatedAt.toISOString() : (r.createdAt ? r.createdAt.toISOString() : new Date().toISOString()),
-      likesCount: r.likes ? r.likes.length : 0,
-      likes: r.likes ? r.likes.map(u => mapUserData(u)) : [],
-      creator: mapUserData(r.creator),
-      parentId: r.parentId ? r.parentId.toString() : null,
-      replies: await getRepliesRecursive(r._id),
-      repliesCount: await Comment.countDocuments({ parentId: r._id })
-    };
-  }));
+/* ✅ Helper to load the reply trees below `parents` with a fixed number of queries,
+   however large the threads are. Returns a function giving the mapped replies of a parent. */
+async function loadReplyTrees(parents, maxDepth = COMMENT_MAX_DEPTH, context) {
+  if (parents.length === 0 || maxDepth <= 0) return async () => [];
+
+  const parentIds = parents.map(p => p._id);
+  const deepest = Math.max(...parents.map(p => p.depth || 0)) + maxDepth;
+  const visibility = await visibleCommentFilter(context);
+  const fetched = await Comment.find({ ...visibility, ancestors: { $in: parentIds }, depth: { $lte: deepest } })
+    .sort({ createdAt: -1 });
+
+  // Deleted replies only stay in the tree as placeholders for live replies below them
+  const anchors = new Set(fetched.filter(d => !d.deletedAt).flatMap(d => d.ancestors.map(a => a.toString())));
+  const descendants = fetched.filter(d => !d.deletedAt || anchors.has(d._id.toString()));
+  const replyCounts = await countReplies(descendants.map(d => d._id));
+
+  const childrenOf = new Map();
+  descendants.forEach(d => {
+    const key = d.parentId.toString();
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(d);
+  });
+
+  const build = (parentId, remaining) => {
+    if (remaining <= 0) return Promise.resolve([]);
+    return Promise.all((childrenOf.get(parentId.toString()) || []).map(async r => ({
+      ...(await mapCommentData(r, context, replyCounts.get(r._id.toString()) || 0)),
+      replies: await build(r._id, remaining - 1)
+    })));
+  };
+
+  return parentId => build(parentId, maxDepth);
 }
 
-async function getNestedComments(postId) {
-  const topComments = await Comment.find({ post: postId, parentId: null })
-    .sort({ createdAt: -1 })
-    .populate('creator', 'name email status role avatar')
-    .populate('likes', 'name email status role avatar');
-
-  return Promise.all(topComments.map(async c => {
-    const mappedComment = await mapCommentData(c);
-    mappedComment.replies = await getRepliesRecursive(c._id);
-    return mappedComment;
-  }));
+/* ✅ Helper to map top-level comments together with their reply trees */
+async function mapCommentThreads(topComments, maxDepth = COMMENT_MAX_DEPTH, context) {
+  const replyCounts = await countReplies(topComments.map(c => c._id));
+  const repliesFor = await loadReplyTrees(topComments, maxDepth, context);
+
+  return Promise.all(topComments.map(async c => ({
+    ...(await mapCommentData(c, context, replyCounts.get(c._id.toString()) || 0)),
+    replies: await repliesFor(c._id)
+  })));
 }
 
-/* ✅ Helper to map User objects consistently */
-function mapUserData(u) {
-  if (!u) {
-    return {
-      _id: 'deleted',
-      name: 'Deleted User',
-      username: 'deleted',
-      email: 'deleted@user.com',
-      status: 'Inactive',
-      role: 'user',
-      avatar: ''
-    };
-  }
-  const uDoc = u._doc || u;
+async function getRepliesRecursive(parentId, maxDepth = COMMENT_MAX_DEPTH, context) {
+  const parent = await Comment.findById(parentId).select('depth');
+  if (!parent) return [];
+  const repliesFor = await loadReplyTrees([parent], maxDepth, context);
+  return repliesFor(parent._id);
+}
+
+async function getNestedComments(postId, maxDepth = COMMENT_MAX_DEPTH, context) {
+  const visibility = await visibleCommentFilter(context);
+  const topComments = await Comment.find({
+    ...visibility,
+    ...(await liveThreadFilter({ post: postId })),
+    post: postId,
+    parentId: null
+  }).sort({ createdAt: -1 });
+  return mapCommentThreads(topComments, maxDepth, context);
+}
+
+const NOTIFICATION_VERBS = {
+  like_post: 'liked your post',
+  like_comment: 'liked your comment',
+  comment: 'commented on your post',
+  reply: 'replied to your comment',
+  follow: 'started following you',
+  follow_request: 'requested to follow you',
+  follow_accepted: 'accepted your follow request',
+  mention: 'mentioned you'
+};
+
+/* ✅ Helper to map Notification objects consistently */
+async function mapNotificationData(n, context) {
+  const actors = (n.actors || []).filter(Boolean);
+  const latestActor = mapUserData(n.latestActor);
+  const verb = NOTIFICATION_VERBS[n.type] || 'interacted with you';
+  // The post may have turned private or been hidden since; then neither it nor its comment is shown
+  const postVisible = !!n.post && await canSeePost(n.post, context);
+
+  return {
+    _id: n._id.toString(),
+    type: n.type,
+    message: actors.length > 1 ? `${actors.length} people ${verb}` : `${latestActor.name} ${verb}`,
+    actors: actors.map(u => mapUserData(u)),
+    actorsCount: actors.length,
+    latestActor,
+    post: postVisible ? await mapPostData(n.post, context) : null,
+    comment: postVisible && n.comment ? await mapCommentData(n.comment, context) : null,
+    read: !!n.read,
+    createdAt: n.createdAt ? n.createdAt.toISOString() : new Date().toISOString(),
+    updatedAt: n.updatedAt ? n.updatedAt.toISOString() : new Date().toISOString()
+  };
+}
+
+/* ✅ Helper to map notification preferences with their defaults */
+function mapNotificationPreferences(prefs = {}) {
   return {
-    ...uDoc,
-    _id: u._id ? u._id.toString() : u.toString(),
-    name: u.name || 'Unknown User',
-    username: u.username || '',
-    email: u.email || '',
-    status: u.status || 'Active',
-    role: u.role || 'user',
-    avatar: u.avatar && u.avatar.includes('via.placeholder.com') ? '' : (u.avatar || '')
+    likes: prefs.likes !== false,
+    comments: prefs.comments !== false,
+    replies: prefs.replies !== false,
+    follows: prefs.follows !== false,
+    mentions: prefs.mentions !== false
   };
 }
 
-/* ✅ Helper to map Post objects consistently for return */
-async function mapPostData(p) {
-  if (!p) return null;
-  const doc = p._doc || p;
-  const commentsCount = await Comment.countDocuments({ post: p._id, parentId: null });
+const REPORT_TARGET_TYPES = ['post', 'comment', 'user'];
+const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+const MODERATION_ACTIONS = ['dismiss', 'hide', 'delete', 'suspend'];
+const MAX_REPORT_REASON_LENGTH = 500;
 
-  let imageUrl = p.imageUrl || '';
-  if (imageUrl.includes('via.placeholder.com')) {
-    imageUrl = '';
-  }
+/* ✅ Helper turning a user reference into a lazily loaded User field */
+function userResolver(ref) {
+  return async (args, context) => (ref ? mapUserData(await loadUser(ref, context?.loaders)) : null);
+}
 
+/* ✅ Helper to map Report objects consistently. The reported content is
+   resolved lazily and comes back null once it has been deleted. */
+function mapReportData(r) {
+  const targetId = r.targetId.toString();
   return {
-    ...doc,
-    _id: p._id.toString(),
-    imageUrl: imageUrl,
-    title: p.title || 'Untitled Post',
-    content: p.content || '',
-    createdAt: p.createdAt ? p.createdAt.toISOString() : new Date().toISOString(),
-    updatedAt: p.updatedAt ? p.updatedAt.toISOString() : (p.createdAt ? p.createdAt.toISOString() : new Date().toISOString()),
-    likes: p.likes ? p.likes.map(u => mapUserData(u)) : [],
-    likesCount: p.likes ? p.likes.length : 0,
-    commentsCount: commentsCount,
-    comments: [],
-    creator: mapUserData(p.creator)
+    _id: r._id.toString(),
+    targetType: r.targetType,
+    targetId,
+    reason: r.reason,
+    status: r.status,
+    action: r.action || null,
+    note: r.note || '',
+    reporter: userResolver(r.reporter),
+    targetUser: userResolver(r.targetUser),
+    resolvedBy: userResolver(r.resolvedBy),
+    resolvedAt: r.resolvedAt ? r.resolvedAt.toISOString() : null,
+    createdAt: r.createdAt.toISOString(),
+    post: r.targetType !== 'post' ? null
+      : async (args, context) => mapPostData(await context.loaders.post.load(targetId), context),
+    comment: r.targetType !== 'comment' ? null
+      : async (args, context) => mapCommentData(await context.loaders.comment.load(targetId), context),
+    openReportsCount: () => Report.countDocuments({ targetType: r.targetType, targetId: r.targetId, status: 'open' })
   };
 }
 
-/* ✅ Helper to map Comment objects consistently */
-async function mapCommentData(c) {
-  if (!c) return null;
-  const doc = c._doc || c;
-
+/* ✅ Helper to map AuditLog entries consistently */
+function mapAuditEntry(e) {
   return {
-    ...doc,
-    _id: c._id.toString(),
-    createdAt: c.createdAt ? c.createdAt.toISOString() : new Date().toISOString(),
-    updatedAt: c.updatedAt ? c.updatedAt.toISOString() : (c.createdAt ? c.createdAt.toISOString() : new Date().toISOString()),
-    likesCount: c.likes ? c.likes.length : 0,
-    likes: c.likes ? c.likes.map(u => mapUserData(u)) : [],
-    creator: mapUserData(c.creator),
-    replies: [], // Recursion handled elsewhere if needed
-    repliesCount: await Comment.countDocuments({ parentId: c._id })
+    _id: e._id.toString(),
+    actor: userResolver(e.actor),
+    action: e.action,
+    targetType: e.targetType,
+    targetId: e.targetId.toString(),
+    report: e.report ? e.report.toString() : null,
+    note: e.note || '',
+    createdAt: e.createdAt.toISOString()
   };
 }
 
-module.exports = {
-  createUser: async function ({ userInput }) {
-    const errors = [];
-    if (!validator.isEmail(userInput.email)) errors.push({ message: 'E-Mail is invalid.' });
-    if (!userInput.password || !validator.isLength(userInput.password, { min: 5 })) errors.push({ message: 'Password too short!' });
-    if (!userInput.name || validator.isEmpty(userInput.name.trim())) errors.push({ message: 'Name is required.' });
-    if (errors.length > 0) {
-      const err = new Error('Invalid input.');
-      err.data = errors;
-      err.code = 422;
-      throw err;
-    }
+/* ✅ Helper to load what a report points at, with the account responsible for it */
+async function findReportTarget(targetType, targetId) {
+  const Model = { post: Post, comment: Comment, user: User }[targetType];
+  const target = mongoose.isValidObjectId(targetId) ? await Model.findById(targetId) : null;
+  if (!target) {
+    throw new NotFoundError(`${targetType.charAt(0).toUpperCase()}${targetType.slice(1)} not found!`);
+  }
+  return { target, ownerId: targetType === 'user' ? target._id : target.creator };
+}
 
-    const existingUser = await User.findOne({ email: userInput.email });
-    if (existingUser) {
-      const err = new Error('User exists already!');
-      err.code = 422;
-      throw err;
-    }
+const TRENDING_WINDOWS = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
 
-    const hashedPw = await bcrypt.hash(userInput.password, 12);
+const SEARCH_TYPES = ['posts', 'users', 'comments'];
+const MAX_SEARCH_OFFSET = 500;
+
+/* ✅ Search helpers: each returns up to `count` hits after `offset`, best first */
+async function searchPosts(terms, offset, count, visibility) {
+  const posts = await Post.aggregate([
+    { $match: { $text: { $search: terms.join(' ') }, ...visibility } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    { $sort: { score: -1, _id: -1 } },
+    { $skip: offset },
+    { $limit: count }
+  ]);
+  return posts.map(p => ({ type: 'posts', score: p.score, doc: p }));
+}
 
-    const user = new User({
-      email: userInput.email,
-      name: userInput.name,
-      password: hashedPw,
-      status: 'I am new!'
+async function searchUsers(terms, query, offset, count, blockedIds = []) {
+  const handle = query.trim().replace(/^@/, '');
+  const hits = new Map();
+  const notBlocked = blockedIds.length > 0 ? { _id: { $nin: blockedIds } } : {};
+
+  // Usernames also match on prefix ("@jo" finds "john"), ranked above plain text matches.
+  if (handle && !/\s/.test(handle)) {
+    const prefixMatches = await User.find({ ...notBlocked, username: { $regex: '^' + escapeRegex(handle), $options: 'i' } })
+      .select('-password')
+      .limit(offset + count);
+    prefixMatches.forEach(u => {
+      const exact = u.username.toLowerCase() === handle.toLowerCase();
+      hits.set(u._id.toString(), { type: 'users', score: exact ? 20 : 10, doc: u });
     });
+  }
 
-    const createdUser = await user.save();
-    return mapUserData(createdUser);
-  },
+  const textMatches = await User.find({ ...notBlocked, $text: { $search: terms.join(' ') } })
+    .select({ score: { $meta: 'textScore' }, password: 0 })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(offset + count);
+  textMatches.forEach(u => {
+    const id = u._id.toString();
+    const textScore = u.get('score') || 0;
+    if (hits.has(id)) hits.get(id).score += textScore;
+    else hits.set(id, { type: 'users', score: textScore, doc: u });
+  });
+
+  return [...hits.values()]
+    .sort((a, b) => b.score - a.score || b.doc._id.toString().localeCompare(a.doc._id.toString()))
+    .slice(offset, offset + count);
+}
 
-  login: async function ({ email, password }) {
-    const user = await User.findOne({ email });
-    if (!user) {
-      const err = new Error('User not found.');
-      err.code = 401;
-      throw err;
-    }
+async function searchComments(terms, offset, count, visibility, commentVisibility = {}) {
+  const comments = await Comment.aggregate([
+    { $match: { $text: { $search: terms.join(' ') } } },
+    { $match: commentVisibility },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $lookup: {
+        from: Post.collection.name,
+        let: { postId: '$post' },
+        pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$postId'] }, ...visibility } }, { $project: { _id: 1 } }],
+        as: 'visiblePost'
+      }
+    },
+    { $match: { 'visiblePost.0': { $exists: true } } },
+    { $project: { visiblePost: 0 } },
+    { $sort: { score: -1, _id: -1 } },
+    { $skip: offset },
+    { $limit: count }
+  ]);
+  return comments.map(c => ({ type: 'comments', score: c.score, doc: c }));
+}
 
-    const isEqual = await bcrypt.compare(password, user.password);
-    if (!isEqual) {
-      const err = new Error('Password is incorrect.');
-      err.code = 401;
-      throw err;
-    }
+/* ✅ Helper to map a search hit with its highlighted snippet */
+async function mapSearchHit(hit, terms, context) {
+  const { type, score, doc } = hit;
+  if (type === 'posts') {
+    const matchesContent = terms.some(t => (doc.content || '').toLowerCase().includes(t));
+    return { type, score, snippet: buildSnippet(matchesContent ? doc.content : doc.title, terms), post: await mapPostData(doc, context) };
+  }
+  if (type === 'users') {
+    const matchesBio = terms.some(t => (doc.bio || '').toLowerCase().includes(t));
+    return { type, score, snippet: buildSnippet(matchesBio ? doc.bio : doc.name, terms), user: mapUserData(doc) };
+  }
+  return { type, score, snippet: buildSnippet(doc.content, terms), comment: await mapCommentData(doc, context) };
+}
+
+/* ✅ Helper to collect the ids of every reply below the given comments */
+async function getAllDescendantIds(parentIds) {
+  if (parentIds.length === 0) return [];
+  const descendants = await Comment.find({ ancestors: { $in: parentIds } }).select('_id');
+  return descendants.map(c => c._id);
+}
 
-    const token = jwt.sign(
-      { userId: user._id.toString(), email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
+/* ✅ Helper to delete a user together with everything they own or touched.
+   The documents go in one transaction; notifications, edit history and
+   images are cleared once it has committed. */
+async function deleteUserCascade(user) {
+  const userId = user._id;
+
+  const posts = await Post.find({ creator: userId }).select('_id imageUrl');
+  const postIds = posts.map(p => p._id);
+
+  // Comments on the user's posts go with the posts; the user's own comments
+  // elsewhere are removed together with the replies hanging below them.
+  const ownComments = await Comment.find({ creator: userId, post: { $nin: postIds } }).select('_id');
+  const ownCommentIds = ownComments.map(c => c._id);
+  const descendantIds = await getAllDescendantIds(ownCommentIds);
+
+  const postCommentIds = (await Comment.find({ post: { $in: postIds } }).select('_id')).map(c => c._id);
+
+  await withTransaction(async session => {
+    await Comment.deleteMany({ post: { $in: postIds } }, { session });
+    await Comment.deleteMany({ _id: { $in: [...ownCommentIds, ...descendantIds] } }, { session });
+    await Post.deleteMany({ _id: { $in: postIds } }, { session });
+
+    await Post.updateMany({ likes: userId }, { $pull: { likes: userId }, $inc: { likesCount: -1 } }, { session });
+    await Comment.updateMany({ likes: userId }, { $pull: { likes: userId }, $inc: { likesCount: -1 } }, { session });
+    await User.updateMany(
+      { _id: { $ne: userId } },
+      {
+        $pull: {
+          followers: userId,
+          following: userId,
+          followRequests: userId,
+          blocked: userId,
+          muted: userId,
+          savedPosts: { $in: postIds }
+        }
+      },
+      { session }
     );
+    await User.deleteOne({ _id: userId }, { session });
+  });
+
+  await removeForTargets({ posts: postIds, comments: [...postCommentIds, ...ownCommentIds, ...descendantIds] });
+  await removeForUser(userId);
+  await removeRevisions([...postIds, ...postCommentIds, ...ownCommentIds, ...descendantIds]);
+  await Promise.all([...posts.map(p => releaseImage(p.imageUrl)), releaseImage(user.avatar)]);
+  await releaseUploadsOf(userId);
+}
+
+/* ✅ Helper to map Revision objects consistently */
+function mapRevisionData(r) {
+  return {
+    _id: r._id.toString(),
+    title: r.title,
+    content: r.content,
+    imageUrl: r.imageUrl,
+    editor: userResolver(r.editor),
+    createdAt: r.createdAt.toISOString()
+  };
+}
+
+/* ✅ Helper to suspend an account and end all of its sessions */
+async function suspendAccount(user, reason) {
+  if (user.role === 'admin') {
+    throw new ValidationError('Admins cannot be suspended. Remove the admin role first.');
+  }
+  user.suspended = true;
+  user.suspendedAt = new Date();
+  user.suspendedReason = (reason || '').trim();
+  await user.save();
+  await revokeAllSessions(user._id);
+}
 
-    return { token, userId: user._id.toString() };
+/* ✅ Helper to append an admin action to the audit trail */
+function recordAudit({ actor, action, targetType, targetId, report = null, note = '' }) {
+  return AuditLog.create({ actor: actor._id || actor, action, targetType, targetId, report, note: (note || '').trim() });
+}
+
+/* ✅ Helper to load the target of an admin action, refusing to act on oneself */
+async function findAdminTarget(userId, admin, action) {
+  if (admin._id.toString() === userId.toString()) {
+    throw new ValidationError(`You cannot ${action} your own account!`);
+  }
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User not found!');
+  }
+  return user;
+}
+
+module.exports = {
+  createUser: async function ({ userInput }, context) {
+    return mapUserData(await UserService.create(context, userInput));
   },
-  user: async function (_, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const user = await User.findById(context.userId).populate('savedPosts').populate('posts');
-    if (!user) throw new Error('No user found!');
 
-    await user.populate({ path: 'savedPosts', populate: { path: 'creator', select: 'name email status role avatar' } });
+  login: async function ({ email, password }, context) {
+    return UserService.login(context, email, password);
+  },
 
-    // Fetch posts directly for robustness
-    const posts = await Post.find({ creator: context.userId }).populate('creator', 'name email status role avatar').populate('likes', 'name email status role avatar').sort({ createdAt: -1 });
+  refreshToken: async function ({ refreshToken }, context) {
+    return UserService.refresh(context, refreshToken);
+  },
 
-    return {
-      ...mapUserData(user),
-      savedPosts: user.savedPosts ? await Promise.all(
-        user.savedPosts.filter(p => p && p._id).map(p => mapPostData(p))
-      ) : [],
-      posts: await Promise.all(posts.map(p => mapPostData(p)))
-    };
+  logout: async function ({ refreshToken }, context) {
+    return UserService.logout(context, refreshToken);
   },
-  updateStatus: async function ({ status }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const user = await User.findById(context.userId);
-    if (!user) throw new Error('No user found!');
-    user.status = status;
-    await user.save();
-    return mapUserData(user);
+
+  requestEmailVerification: async function (args, context) {
+    await UserService.requestEmailVerification(context);
+    return true;
   },
-  updateUser: async function ({ userInput }, context) {
-    if (!context || !context.isAuth) throw new Error('Not authenticated!');
-    const user = await User.findById(context.userId);
-    if (!user) throw new Error('User not found!');
 
-    if (userInput.name) user.name = userInput.name;
-    if (userInput.username !== undefined) user.username = userInput.username;
-    if (userInput.bio !== undefined) user.bio = userInput.bio;
-    if (userInput.status) user.status = userInput.status;
-    if (userInput.avatar !== undefined) user.avatar = userInput.avatar;
+  verifyEmail: async function ({ token }, context) {
+    await UserService.verifyEmail(context, token);
+    return true;
+  },
 
-    await user.save();
-    return mapUserData(user);
+  requestPasswordReset: async function ({ email }, context) {
+    await UserService.requestPasswordReset(context, email);
+    return true;
   },
 
-  users: async function (args, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const currentUser = await User.findById(context.userId);
-    if (!currentUser || currentUser.role !== 'admin') throw new Error('Not authorized! Admin access required.');
-    const users = await User.find().select('-password');
-    return users.map(u => mapUserData(u));
+  resetPassword: async function ({ token, password }, context) {
+    await UserService.resetPassword(context, token, password);
+    return true;
   },
-  userById: async function ({ userId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const user = await User.findById(userId)
-      .select('-password')
-      .populate({ path: 'savedPosts', populate: { path: 'creator', select: 'name email status role avatar' } })
-      .populate({ path: 'posts', populate: { path: 'creator', select: 'name email status role avatar' } })
-      .populate('followers', 'name email status role avatar username bio')
-      .populate('following', 'name email status role avatar username bio');
 
-    if (!user) throw new Error('User not found!');
+  changePassword: async function ({ currentPassword, newPassword }, context) {
+    await UserService.changePassword(context, currentPassword, newPassword);
+    return true;
+  },
 
-    // Fetch posts directly to ensure we get all posts by this creator (more robust than user.posts array)
-    const posts = await Post.find({ creator: userId }).populate('creator', 'name email status role avatar').populate('likes', 'name email status role avatar').sort({ createdAt: -1 });
+  logoutAll: async function (args, context) {
+    await UserService.logoutAll(context);
+    return true;
+  },
+  user: async function (_, context) {
+    return mapProfile(await UserService.getProfile(context, context.userId), context);
+  },
+  updateStatus: async function ({ status }, context) {
+    return mapUserData(await UserService.updateStatus(context, status));
+  },
+  updateUser: async function ({ userInput }, context) {
+    return mapUserData(await UserService.update(context, userInput));
+  },
 
-    return {
-      ...mapUserData(user),
-      savedPosts: user.savedPosts ? await Promise.all(
-        user.savedPosts.filter(p => p && p._id).map(p => mapPostData(p))
-      ) : [],
-      posts: await Promise.all(posts.map(p => mapPostData(p))),
-      followers: user.followers ? user.followers.map(u => mapUserData(u)) : [],
-      following: user.following ? user.following.map(u => mapUserData(u)) : [],
-      followersCount: user.followers ? user.followers.length : 0,
-      followingCount: user.following ? user.following.length : 0,
-      postsCount: posts.length
-    };
+  users: async function (args, context) {
+    const users = await UserService.list(context);
+    return users.map(u => mapUserData(u));
+  },
+  userById: async function ({ userId }, context) {
+    return mapProfile(await UserService.getProfile(context, userId), context);
   },
 
   createPost: async function ({ postInput }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const errors = [];
-    if (!postInput.title || !validator.isLength(postInput.title, { min: 5 })) errors.push({ message: 'Title is invalid.' });
-    if (!postInput.content || !validator.isLength(postInput.content, { min: 5 })) errors.push({ message: 'Content is invalid.' });
-    if (errors.length > 0) {
-      const err = new Error('Invalid input.');
-      err.data = errors;
-      err.code = 422;
-      throw err;
-    }
+    return mapPostData(await PostService.create(context, postInput), context);
+  },
 
-    const user = await User.findById(context.userId);
-    if (!user) throw new Error('Invalid user.');
+  updatePost: async function ({ id, postInput }, context) {
+    return mapPostData(await PostService.update(context, id, postInput), context);
+  },
 
-    const post = new Post({
-      title: postInput.title,
-      content: postInput.content,
-      imageUrl: postInput.imageUrl || '',
-      creator: user
-    });
+  deletePost: async function ({ id }, context) {
+    await PostService.remove(context, id);
+    return true;
+  },
 
-    const createdPost = await post.save();
-    if (user.posts && Array.isArray(user.posts)) {
-      user.posts.push(createdPost);
-      await user.save();
-    }
+  restorePost: async function ({ id }, context) {
+    return mapPostData(await PostService.restore(context, id), context);
+  },
 
-    // Populate for return
-    await createdPost.populate({ path: 'creator', select: 'name email status role avatar' });
-    return await mapPostData(createdPost);
+  postRevisions: async function ({ postId }, context) {
+    const revisions = await PostService.revisions(context, postId);
+    return revisions.map(mapRevisionData);
   },
 
-  updatePost: async function ({ id, postInput }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const post = await Post.findById(id).populate('creator', 'name email status role avatar').populate('likes', 'name email status role avatar');
-    if (!post) throw new Error('No post found!');
+  revertPost: async function ({ postId, revisionId }, context) {
+    return mapPostData(await PostService.revert(context, postId, revisionId), context);
+  },
+  posts: async function (args, context) {
+    const { posts, totalPosts, pageInfo } = await PostService.list(context, args);
+    return { posts: await Promise.all(posts.map(p => mapPostData(p, context))), totalPosts, pageInfo };
+  },
 
-    if (!post.creator || post.creator._id.toString() !== context.userId.toString()) {
-      throw new Error('Not authorized!');
-    }
+  feed: async function (args, context) {
+    const { mode, posts, pageInfo } = await PostService.feed(context, args);
+    return { mode, posts: await Promise.all(posts.map(p => mapPostData(p, context))), pageInfo };
+  },
 
-    const errors = [];
-    if (!postInput.title || !validator.isLength(postInput.title, { min: 5 })) errors.push({ message: 'Title is invalid.' });
-    if (!postInput.content || !validator.isLength(postInput.content, { min: 5 })) errors.push({ message: 'Content is invalid.' });
-    if (errors.length > 0) {
-      const err = new Error('Invalid input.');
-      err.data = errors;
-      err.code = 422;
-      throw err;
+  postsByTag: async function ({ tag, first, after }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const normalizedTag = normalizeTag(tag);
+    if (!normalizedTag) {
+      throw new ValidationError('Invalid input.', [{ field: 'tag', message: 'Tag is required.' }]);
     }
 
-    post.title = postInput.title;
-    post.content = postInput.content;
+    const visibility = await visiblePostFilter(context, { excludeMuted: true });
+    const { items: posts, pageInfo } = await paginate(
+      (cursorFilter, sort, limit) => Post.find({ ...visibility, tags: normalizedTag, ...cursorFilter })
+        .sort(sort)
+        .limit(limit),
+      { first, after }
+    );
 
-    if (postInput.imageUrl !== 'undefined' && postInput.imageUrl !== post.imageUrl) {
-      if (post.imageUrl && !/^https?:\/\//i.test(post.imageUrl)) {
-        try {
-          clearImage(post.imageUrl);
-        } catch (e) { console.error("Error clearing image:", e); }
-      }
-      post.imageUrl = postInput.imageUrl || '';
+    return {
+      tag: normalizedTag,
+      posts: await Promise.all(posts.map(p => mapPostData(p, context))),
+      pageInfo
+    };
+  },
+
+  trendingTags: async function ({ window = '24h', limit }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const windowMs = TRENDING_WINDOWS[window];
+    if (!windowMs) {
+      throw new ValidationError('Invalid input.', [{ field: 'window', message: `Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}.` }]);
     }
 
-    const updatedPost = await post.save();
-    return await mapPostData(updatedPost);
+    const since = new Date(Date.now() - windowMs);
+    const visibility = await visiblePostFilter(context);
+    const commentVisibility = await hiddenContentFilter(context);
+    const tagCounts = await Post.aggregate([
+      { $match: { ...visibility, createdAt: { $gte: since }, 'tags.0': { $exists: true } } },
+      { $project: { tags: 1 } },
+      {
+        $unionWith: {
+          coll: Comment.collection.name,
+          pipeline: [
+            { $match: { ...commentVisibility, createdAt: { $gte: since }, deletedAt: null, 'tags.0': { $exists: true } } },
+            // Comments only count when the viewer may see the post they are on
+            {
+              $lookup: {
+                from: Post.collection.name,
+                let: { postId: '$post' },
+                pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$postId'] }, ...visibility } }, { $project: { _id: 1 } }],
+                as: 'visiblePost'
+              }
+            },
+            { $match: { 'visiblePost.0': { $exists: true } } },
+            { $project: { tags: 1 } }
+          ]
+        }
+      },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: clampLimit(limit, 10, 50) }
+    ]);
+
+    return tagCounts.map(t => ({ tag: t._id, count: t.count }));
   },
 
-  deletePost: async function ({ id }, context) {
-    console.log('Attempting to delete post:', id);
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const post = await Post.findById(id);
-    if (!post) throw new Error('No post found!');
-    if (post.creator.toString() !== context.userId.toString()) {
-      throw new Error('Not authorized!');
+  search: async function ({ query, type = 'all', cursor, limit }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const terms = tokenize(query);
+    const types = type === 'all' ? SEARCH_TYPES : [type];
+    if (!types.every(t => SEARCH_TYPES.includes(t))) {
+      throw new ValidationError('Invalid input.', [{ field: 'type', message: `Search type must be one of: all, ${SEARCH_TYPES.join(', ')}.` }]);
     }
-    if (post.imageUrl && !/^https?:\/\//i.test(post.imageUrl)) {
-      try {
-        clearImage(post.imageUrl);
-      } catch (e) { console.error("Error clearing image:", e); }
+    if (terms.length === 0) {
+      return { results: [], pageInfo: buildPageInfo([], { hasNextPage: false, hasPreviousPage: false }) };
     }
-    await Post.findByIdAndDelete(id);
-    const user = await User.findById(context.userId);
-    user.posts.pull(id);
-    await user.save();
-    return true;
-  },
-  posts: async function ({ page = 1, limit = 5 }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const perPage = limit;
-    const totalPosts = await Post.countDocuments();
 
-    const posts = await Post.find()
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * perPage)
-      .limit(perPage)
-      .populate('creator', 'name email status role avatar')
-      .populate('likes', 'name email status role avatar');
+    // Relevance order has no stable sort key, so the cursor tracks how many
+    // hits of each type have already been returned.
+    let offsets = { posts: 0, users: 0, comments: 0 };
+    if (cursor) {
+      try {
+        offsets = { ...offsets, ...JSON.parse(Buffer.from(cursor, 'base64').toString('utf8')) };
+      } catch (e) {
+        throw new ValidationError('Invalid cursor.');
+      }
+    }
+    if (types.some(t => !Number.isInteger(offsets[t]) || offsets[t] < 0 || offsets[t] > MAX_SEARCH_OFFSET)) {
+      throw new ValidationError('Invalid cursor.');
+    }
 
-    const mappedPosts = await Promise.all(posts.map(p => mapPostData(p)));
+    const pageSize = clampLimit(limit, 10, 25);
+    const visibility = await visiblePostFilter(context);
+    const blockedIds = await getBlockedIds(context);
+    const commentVisibility = { ...(await hiddenContentFilter(context)), deletedAt: null };
+    if (blockedIds.length > 0) commentVisibility.creator = { $nin: blockedIds };
+    const candidates = (await Promise.all(types.map(t => {
+      if (t === 'posts') return searchPosts(terms, offsets.posts, pageSize + 1, visibility);
+      if (t === 'users') return searchUsers(terms, query, offsets.users, pageSize + 1, blockedIds);
+      return searchComments(terms, offsets.comments, pageSize + 1, visibility, commentVisibility);
+    }))).flat().sort((a, b) => b.score - a.score);
+
+    const page = candidates.slice(0, pageSize);
+    const nextOffsets = { ...offsets };
+    page.forEach(hit => { nextOffsets[hit.type] += 1; });
+    const hasNextPage = candidates.length > pageSize;
 
     return {
-      posts: mappedPosts,
-      totalPosts
+      results: await Promise.all(page.map(hit => mapSearchHit(hit, terms, context))),
+      pageInfo: {
+        hasNextPage,
+        hasPreviousPage: !!cursor,
+        startCursor: cursor || null,
+        endCursor: hasNextPage ? Buffer.from(JSON.stringify(nextOffsets)).toString('base64') : null
+      }
     };
   },
 
   post: async function ({ id }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const post = await Post.findById(id)
-      .populate('creator', 'name email status role avatar')
-      .populate('likes', 'name email status role avatar');
-    if (!post) throw new Error('No post found!');
-
-    const mappedPost = await mapPostData(post);
+    const mappedPost = await mapPostData(await PostService.get(context, id), context);
     // Overwrite comments with nested version for single post view
-    mappedPost.comments = await getNestedComments(id);
+    mappedPost.comments = await getNestedComments(id, COMMENT_MAX_DEPTH, context);
     mappedPost.commentsCount = mappedPost.comments.length;
 
     return mappedPost;
   },
 
-  likeComment: async function ({ commentId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const comment = await Comment.findById(commentId);
-    if (!comment) throw new Error('Comment not found!');
-
-    // Check if user already liked
-    if (!comment.likes.includes(context.userId)) {
-      comment.likes.push(context.userId);
-      await comment.save();
-    }
-
-    // Populate to satisfy [User!]! schema
-    await comment.populate('likes', 'name email status role avatar');
-    await comment.populate('creator', 'name email status role avatar');
+  likers: async function ({ postId, cursor, limit }, context) {
+    const { users, likesCount, pageInfo } = await PostService.likers(context, postId, { cursor, limit });
+    return { users: users.map(u => mapUserData(u)), likesCount, pageInfo };
+  },
 
-    return mapCommentData(comment);
+  likeComment: async function ({ commentId }, context) {
+    return mapCommentData(await CommentService.like(context, commentId), context);
   },
 
   unlikeComment: async function ({ commentId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const comment = await Comment.findById(commentId);
-    if (!comment) throw new Error('Comment not found!');
+    return mapCommentData(await CommentService.unlike(context, commentId), context);
+  },
 
-    comment.likes.pull(context.userId);
-    await comment.save();
+  addReply: async function ({ postId, commentId, content }, context) {
+    return mapCommentData(await CommentService.add(context, { postId, content, parentId: commentId }), context);
+  },
 
-    await comment.populate('likes', 'name email status role avatar');
-    await comment.populate('creator', 'name email status role avatar');
+  addComment: async function ({ commentInput }, context) {
+    return mapCommentData(await CommentService.add(context, commentInput), context);
+  },
 
-    return mapCommentData(comment);
+  updateComment: async function ({ commentId, content }, context) {
+    return mapCommentData(await CommentService.update(context, commentId, content), context);
   },
 
-  addReply: async function ({ postId, commentId, content }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    if (!content || !content.trim()) throw new Error('Reply cannot be empty!');
+  deleteComment: async function ({ commentId }, context) {
+    await CommentService.remove(context, commentId);
+    return true;
+  },
 
-    const user = await User.findById(context.userId);
-    if (!user) throw new Error('User not found!');
-
-    // Check parent comment
-    const parentComment = await Comment.findById(commentId);
-    if (!parentComment) throw new Error('Parent comment not found!');
-
-    const reply = new Comment({
-      content: content.trim(),
-      post: postId,
-      parentId: commentId,
-      creator: user._id,
-      likes: []
-    });
+  restoreComment: async function ({ commentId }, context) {
+    return mapCommentData(await CommentService.restore(context, commentId), context);
+  },
 
-    await reply.save();
-    await reply.populate('creator', 'name email status role avatar');
+  commentRevisions: async function ({ commentId }, context) {
+    const revisions = await CommentService.revisions(context, commentId);
+    return revisions.map(mapRevisionData);
+  },
 
-    return mapCommentData(reply);
+  revertComment: async function ({ commentId, revisionId }, context) {
+    return mapCommentData(await CommentService.revert(context, commentId, revisionId), context);
   },
 
-  addComment: async function ({ commentInput }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    if (!commentInput.content || !commentInput.content.trim())
-      throw new Error('Comment cannot be empty!');
+  comments: async function ({ postId, maxDepth }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    await requirePostVisible(postId, context);
+    return await getNestedComments(postId, threadDepth(maxDepth), context);
+  },
 
-    const post = await Post.findById(commentInput.postId);
-    if (!post) throw new Error('Post not found!');
+  replies: async function ({ commentId, maxDepth }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const parent = await Comment.findById(commentId).select('post');
+    if (parent) await requirePostVisible(parent.post, context);
+    return await getRepliesRecursive(commentId, threadDepth(maxDepth), context);
+  },
 
-    const user = await User.findById(context.userId);
-    if (!user) throw new Error('User not found!');
+  paginatedComments: async function (args, context) {
+    const { comments, totalComments, pageInfo } = await CommentService.list(context, args.postId, args);
+    return {
+      comments: await mapCommentThreads(comments, threadDepth(args.maxDepth), context),
+      totalComments,
+      hasMore: pageInfo.hasNextPage,
+      pageInfo
+    };
+  },
 
-    const comment = new Comment({
-      content: commentInput.content.trim(),
-      post: commentInput.postId,
-      creator: user._id,
-      parentId: commentInput.parentId || null
-    });
+  paginatedReplies: async function (args, context) {
+    const { replies, totalReplies, pageInfo } = await CommentService.replies(context, args.commentId, args);
+    return {
+      replies: await Promise.all(replies.map(r => mapCommentData(r, context))),
+      totalReplies,
+      hasMore: pageInfo.hasNextPage,
+      pageInfo
+    };
+  },
 
-    await comment.save();
-    await comment.populate({
-      path: "creator",
-      select: "name email status role avatar"
-    });
+  likePost: async function ({ postId }, context) {
+    return mapPostData(await PostService.like(context, postId), context);
+  },
 
-    return mapCommentData(comment);
+  unlikePost: async function ({ postId }, context) {
+    return mapPostData(await PostService.unlike(context, postId), context);
   },
 
-  updateComment: async function ({ commentId, content }, context) {
-    if (!context || !context.isAuth) throw new Error('Not authenticated!');
-    if (!content || content.trim().length === 0) throw new Error('Comment cannot be empty!');
+  savePost: async function ({ postId }, context) {
+    await PostService.save(context, postId);
+    return mapProfile(await UserService.getProfile(context, context.userId), context);
+  },
 
-    const comment = await Comment.findById(commentId);
-    if (!comment) throw new Error('Comment not found!');
-    if (comment.creator.toString() !== context.userId.toString()) throw new Error('Not authorized!');
+  unsavePost: async function ({ postId }, context) {
+    await PostService.unsave(context, postId);
+    return mapProfile(await UserService.getProfile(context, context.userId), context);
+  },
 
-    comment.content = content.trim();
-    await comment.save();
-    await comment.populate('likes', 'name email status role avatar');
-    await comment.populate('creator', 'name email status role avatar');
+  // ========== NEW SOCIAL FEATURES ==========
 
-    return mapCommentData(comment);
+  isUsernameAvailable: async function ({ username }, context) {
+    return UserService.isUsernameAvailable(context, username);
   },
 
-  deleteComment: async function ({ commentId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const comment = await Comment.findById(commentId);
-    if (!comment) throw new Error('Comment not found!');
-    if (comment.creator.toString() !== context.userId.toString()) throw new Error('Not authorized!');
-
-    // Helper to recursively finding all descendant IDs
-    const getAllDescendantIds = async (parentId) => {
-      const children = await Comment.find({ parentId });
-      let ids = children.map(c => c._id);
-      for (const child of children) {
-        const descendantIds = await getAllDescendantIds(child._id);
-        ids = [...ids, ...descendantIds];
-      }
-      return ids;
-    };
-
-    const descendantIds = await getAllDescendantIds(commentId);
+  userByUsername: async function ({ username }, context) {
+    return mapProfile(await UserService.getProfileByUsername(context, username), context);
+  },
 
-    // Delete all descendants first
-    if (descendantIds.length > 0) {
-      await Comment.deleteMany({ _id: { $in: descendantIds } });
-    }
+  followers: async function ({ userId }, context) {
+    const followers = await FollowService.followers(context, userId);
+    return followers.map(u => mapUserData(u));
+  },
 
-    // Delete the target comment
-    await Comment.findByIdAndDelete(commentId);
-    return true;
+  following: async function ({ userId }, context) {
+    const following = await FollowService.following(context, userId);
+    return following.map(u => mapUserData(u));
   },
 
-  comments: async function ({ postId }, context) {
-    if (!context?.isAuth) throw new Error("Not authenticated!");
-    return await getNestedComments(postId);
+  followRequests: async function (args, context) {
+    const requests = await FollowService.requests(context);
+    return requests.map(u => mapUserData(u));
   },
 
-  replies: async function ({ commentId }, context) {
-    if (!context?.isAuth) throw new Error("Not authenticated!");
-    return await getRepliesRecursive(commentId);
+  approveFollowRequest: async function ({ userId }, context) {
+    return mapUserData(await FollowService.approveRequest(context, userId));
   },
 
-  paginatedComments: async function ({ postId, page = 1, limit = 5 }, context) {
-    if (!context?.isAuth) throw new Error("Not authenticated!");
-    const skip = (page - 1) * limit;
+  rejectFollowRequest: async function ({ userId }, context) {
+    await FollowService.rejectRequest(context, userId);
+    return true;
+  },
 
-    const totalComments = await Comment.countDocuments({ post: postId, parentId: null });
-    const topComments = await Comment.find({ post: postId, parentId: null })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('creator', 'name email status role avatar')
-      .populate('likes', 'name email status role avatar');
+  removeFollower: async function ({ userId }, context) {
+    await FollowService.removeFollower(context, userId);
+    return true;
+  },
 
-    const comments = await Promise.all(topComments.map(async c => {
-      const mappedComment = await mapCommentData(c);
-      mappedComment.replies = await getRepliesRecursive(c._id);
-      return mappedComment;
-    }));
+  followUser: async function ({ userId }, context) {
+    await FollowService.follow(context, userId);
+    return mapProfile(await UserService.getProfile(context, context.userId), context);
+  },
 
-    return {
-      comments,
-      totalComments,
-      hasMore: skip + limit < totalComments
-    };
+  unfollowUser: async function ({ userId }, context) {
+    await FollowService.unfollow(context, userId);
+    return mapProfile(await UserService.getProfile(context, context.userId), context);
   },
 
-  paginatedReplies: async function ({ commentId, page = 1, limit = 5 }, context) {
-    if (!context?.isAuth) throw new Error("Not authenticated!");
+  // ========== NOTIFICATIONS ==========
+
+  notifications: async function (args, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const page = Math.max(args.page || 1, 1);
+    const limit = clampLimit(args.limit, 20);
     const skip = (page - 1) * limit;
 
-    const totalReplies = await Comment.countDocuments({ parentId: commentId });
-    const repliesData = await Comment.find({ parentId: commentId })
-      .sort({ createdAt: -1 })
+    const totalNotifications = await Notification.countDocuments({ recipient: context.userId });
+    const notifications = await Notification.find({ recipient: context.userId })
+      .sort({ updatedAt: -1 })
       .skip(skip)
       .limit(limit)
-      .populate('creator', 'name email status role avatar')
-      .populate('likes', 'name email status role avatar');
-
-    const replies = await Promise.all(repliesData.map(r => mapCommentData(r)));
+      .populate('actors', USER_SUMMARY_FIELDS)
+      .populate('latestActor', USER_SUMMARY_FIELDS)
+      .populate({ path: 'post', populate: { path: 'creator', select: USER_SUMMARY_FIELDS } })
+      .populate({ path: 'comment', populate: { path: 'creator', select: USER_SUMMARY_FIELDS } });
 
     return {
-      replies,
-      totalReplies,
-      hasMore: skip + limit < totalReplies
+      notifications: await Promise.all(notifications.map(n => mapNotificationData(n, context))),
+      totalNotifications,
+      hasMore: skip + limit < totalNotifications
     };
   },
 
-  likePost: async function ({ postId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const post = await Post.findById(postId).populate('creator', 'name email status role avatar').populate('likes', 'name email status role avatar');
-    if (!post) throw new Error('Post not found!');
-
-    const userId = context.userId.toString();
-    if (!(post.likes || []).some(l => (l._id ? l._id.toString() : l.toString()) === userId)) {
-      post.likes.push(userId);
-      await post.save();
-      await post.populate('likes', 'name email status role avatar');
-    }
-
-    return await mapPostData(post);
+  unreadNotificationsCount: async function (args, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    return await Notification.countDocuments({ recipient: context.userId, read: false });
   },
 
-  unlikePost: async function ({ postId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const post = await Post.findById(postId).populate('creator', 'name email status role avatar').populate('likes', 'name email status role avatar');
-    if (!post) throw new Error('Post not found!');
+  markNotificationsRead: async function ({ notificationIds }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const filter = { recipient: context.userId, read: false };
+    if (notificationIds && notificationIds.length > 0) filter._id = { $in: notificationIds };
 
-    const userId = context.userId.toString();
-    post.likes = (post.likes || []).filter(like => (like._id ? like._id.toString() : like.toString()) !== userId);
-    await post.save();
+    const result = await Notification.updateMany(filter, { $set: { read: true, readAt: new Date() } });
+    io.emitToUser(context.userId, 'notifications', { action: 'read' });
+    return result.modifiedCount;
+  },
 
-    return await mapPostData(post);
+  notificationPreferences: async function (args, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const user = await User.findById(context.userId).select('notificationPreferences');
+    if (!user) throw new NotFoundError('User not found!');
+    return mapNotificationPreferences(user.notificationPreferences);
   },
 
-  savePost: async function ({ postId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
+  updateNotificationPreferences: async function ({ preferences }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
     const user = await User.findById(context.userId);
-    if (!user) throw new Error('User not found!');
+    if (!user) throw new NotFoundError('User not found!');
 
-    const post = await Post.findById(postId);
-    if (!post) throw new Error('Post not found!');
-
-    if (!user.savedPosts.includes(postId)) {
-      user.savedPosts.push(postId);
-      await user.save();
-    }
+    Object.keys(mapNotificationPreferences()).forEach(key => {
+      if (typeof preferences[key] === 'boolean') user.notificationPreferences[key] = preferences[key];
+    });
+    await user.save();
+    return mapNotificationPreferences(user.notificationPreferences);
+  },
 
-    await user.populate({ path: 'savedPosts', populate: { path: 'creator', select: 'name email status role avatar' } });
-    await user.populate({ path: 'savedPosts', populate: { path: 'likes', select: 'name email status role avatar' } });
+  // ========== PRIVACY ==========
 
-    const posts = await Post.find({ creator: context.userId }).populate('creator', 'name email status role avatar').populate('likes', 'name email status role avatar').sort({ createdAt: -1 });
+  updatePrivacySettings: async function ({ privacy }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const user = await User.findById(context.userId);
+    if (!user) throw new NotFoundError('User not found!');
 
-    const validSavedPosts = user.savedPosts.filter(p => p && p._id);
+    const errors = [];
+    Object.keys(PRIVACY_DEFAULTS).forEach(key => {
+      if (privacy[key] === undefined || privacy[key] === null) return;
+      if (!PRIVACY_LEVELS.includes(privacy[key])) {
+        errors.push({ field: key, message: `${key} must be one of: ${PRIVACY_LEVELS.join(', ')}.` });
+        return;
+      }
+      user.privacy[key] = privacy[key];
+    });
+    assertValid(errors);
 
-    return {
-      ...mapUserData(user),
-      savedPosts: await Promise.all(validSavedPosts.map(p => mapPostData(p))),
-      posts: await Promise.all(posts.map(p => mapPostData(p)))
-    };
+    await user.save();
+    return mapPrivacySettings(user.privacy);
   },
 
-  unsavePost: async function ({ postId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const user = await User.findById(context.userId).populate('savedPosts');
-    if (!user) throw new Error('User not found!');
+  // ========== BLOCKING & MUTING ==========
 
-    user.savedPosts.pull(postId);
-    await user.save();
+  blockedUsers: async function (args, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const user = await User.findById(context.userId).populate('blocked', USER_SUMMARY_FIELDS);
+    if (!user) throw new NotFoundError('User not found!');
+    return user.blocked.filter(Boolean).map(u => mapUserData(u));
+  },
 
-    await user.populate({ path: 'savedPosts', populate: { path: 'creator', select: 'name email status role avatar' } });
-    await user.populate({ path: 'savedPosts', populate: { path: 'likes', select: 'name email status role avatar' } });
+  mutedUsers: async function (args, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const user = await User.findById(context.userId).populate('muted', USER_SUMMARY_FIELDS);
+    if (!user) throw new NotFoundError('User not found!');
+    return user.muted.filter(Boolean).map(u => mapUserData(u));
+  },
 
-    const posts = await Post.find({ creator: context.userId }).populate('creator', 'name email status role avatar').populate('likes', 'name email status role avatar').sort({ createdAt: -1 });
+  blockUser: async function ({ userId }, context) {
+    await FollowService.block(context, userId);
+    return true;
+  },
 
-    const validSavedPosts = user.savedPosts.filter(p => p && p._id);
+  unblockUser: async function ({ userId }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const result = await User.updateOne({ _id: context.userId }, { $pull: { blocked: userId } });
+    if (result.matchedCount === 0) throw new NotFoundError('User not found!');
+    return true;
+  },
 
-    return {
-      ...mapUserData(user),
-      savedPosts: await Promise.all(validSavedPosts.map(p => mapPostData(p))),
-      posts: await Promise.all(posts.map(p => mapPostData(p)))
-    };
+  muteUser: async function ({ userId }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    if (context.userId === userId) throw new ValidationError('You cannot mute yourself!');
+    if (!(await User.exists({ _id: userId }))) throw new NotFoundError('User not found!');
+    await User.updateOne({ _id: context.userId }, { $addToSet: { muted: userId } });
+    return true;
   },
 
-  // ========== NEW SOCIAL FEATURES ==========
+  unmuteUser: async function ({ userId }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    const result = await User.updateOne({ _id: context.userId }, { $pull: { muted: userId } });
+    if (result.matchedCount === 0) throw new NotFoundError('User not found!');
+    return true;
+  },
 
-  userByUsername: async function ({ username }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const user = await User.findOne({ username }).populate('savedPosts').populate('followers', 'name email status role avatar').populate('following', 'name email status role avatar');
-    if (!user) throw new Error('User not found!');
+  // ========== MODERATION ==========
 
-    const posts = await Post.find({ creator: user._id }).populate('creator', 'name email status role avatar').populate('likes', 'name email status role avatar').sort({ createdAt: -1 });
+  reportContent: async function ({ targetType, targetId, reason }, context) {
+    if (!context?.isAuth) throw new UnauthenticatedError();
+    await limit('report', context);
+    const errors = [];
+    if (!REPORT_TARGET_TYPES.includes(targetType)) {
+      errors.push({ field: 'targetType', message: `Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}.` });
+    }
+    if (!reason || validator.isEmpty(reason.trim())) errors.push({ field: 'reason', message: 'A reason is required.' });
+    else if (reason.trim().length > MAX_REPORT_REASON_LENGTH) {
+      errors.push({ field: 'reason', message: `Reason must be at most ${MAX_REPORT_REASON_LENGTH} characters.` });
+    }
+    assertValid(errors);
 
-    return {
-      ...mapUserData(user),
-      savedPosts: await Promise.all((user.savedPosts || []).filter(p => p && p._id).map(p => mapPostData(p))),
-      posts: await Promise.all(posts.map(p => mapPostData(p))),
-      followers: user.followers ? user.followers.map(u => mapUserData(u)) : [],
-      following: user.following ? user.following.map(u => mapUserData(u)) : [],
-      followersCount: user.followers ? user.followers.length : 0,
-      followingCount: user.following ? user.following.length : 0,
-      postsCount: posts.length
-    };
-  },
+    const { target, ownerId } = await findReportTarget(targetType, targetId);
+    if (targetType === 'post') await requirePostVisible(target, context);
+    if (targetType === 'comment') await requirePostVisible(target.post, context);
+    if (ownerId.toString() === context.userId.toString()) {
+      throw new ValidationError('You cannot report your own content!');
+    }
 
-  followers: async function ({ userId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const user = await User.findById(userId).populate('followers', 'name email status role avatar username bio');
-    if (!user) throw new Error('User not found!');
-    return user.followers ? user.followers.map(u => mapUserData(u)) : [];
+    try {
+      const report = await Report.create({
+        reporter: context.userId,
+        targetType,
+        targetId: target._id,
+        targetUser: ownerId,
+        reason: reason.trim()
+      });
+      return mapReportData(report);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      throw new ConflictError('You have already reported this.');
+    }
   },
 
-  following: async function ({ userId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    const user = await User.findById(userId).populate('following', 'name email status role avatar username bio');
-    if (!user) throw new Error('User not found!');
-    return user.following ? user.following.map(u => mapUserData(u)) : [];
-  },
+  moderationQueue: async function ({ status = 'open', targetType, first, after }, context) {
+    await requireAdmin(context);
+    const errors = [];
+    if (status !== 'all' && !REPORT_STATUSES.includes(status)) {
+      errors.push({ field: 'status', message: `Status must be one of: all, ${REPORT_STATUSES.join(', ')}.` });
+    }
+    if (targetType && !REPORT_TARGET_TYPES.includes(targetType)) {
+      errors.push({ field: 'targetType', message: `Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}.` });
+    }
+    assertValid(errors);
 
-  followUser: async function ({ userId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    if (context.userId === userId) throw new Error('You cannot follow yourself!');
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (targetType) filter.targetType = targetType;
 
-    const currentUser = await User.findById(context.userId);
-    const targetUser = await User.findById(userId);
+    const totalReports = await Report.countDocuments(filter);
+    const { items: reports, pageInfo } = await paginate(
+      (cursorFilter, sort, limit) => Report.find({ ...filter, ...cursorFilter }).sort(sort).limit(limit),
+      { first, after }
+    );
 
-    if (!currentUser || !targetUser) throw new Error('User not found!');
+    return { reports: reports.map(mapReportData), totalReports, pageInfo };
+  },
 
-    // Check if already following
-    if (currentUser.following.includes(userId)) {
-      throw new Error('Already following this user!');
+  moderateReport: async function ({ reportId, action, note }, context) {
+    const admin = await requireAdmin(context);
+    if (!MODERATION_ACTIONS.includes(action)) {
+      throw new ValidationError('Invalid input.', [{ field: 'action', message: `Action must be one of: ${MODERATION_ACTIONS.join(', ')}.` }]);
     }
 
-    // Add to current user's following
-    currentUser.following.push(userId);
-    await currentUser.save();
-
-    // Add to target user's followers
-    targetUser.followers.push(context.userId);
-    await targetUser.save();
+    const report = mongoose.isValidObjectId(reportId) ? await Report.findById(reportId) : null;
+    if (!report) {
+      throw new NotFoundError('Report not found!');
+    }
+    if (report.status !== 'open') {
+      throw new ConflictError('This report has already been resolved.');
+    }
+    if ((action === 'hide' || action === 'delete') && report.targetType === 'user') {
+      throw new ValidationError('Only posts and comments can be hidden or deleted.');
+    }
 
-    // Return updated current user with populated data
-    await currentUser.populate('followers', 'name email status role avatar username bio');
-    await currentUser.populate('following', 'name email status role avatar username bio');
-    await currentUser.populate('savedPosts');
+    const { targetType, targetId } = report;
+    const Model = targetType === 'post' ? Post : Comment;
+    if (action === 'hide') {
+      await Model.updateOne({ _id: targetId }, { $set: { hidden: true } });
+    } else if (action === 'delete') {
+      const target = await Model.findById(targetId);
+      if (target && !target.deletedAt) {
+        await (targetType === 'post' ? softDeletePost(target, admin) : softDeleteComment(target, admin));
+      }
+    } else if (action === 'suspend') {
+      const author = await findAdminTarget(report.targetUser, admin, 'suspend');
+      await suspendAccount(author, note || report.reason);
+      await recordAudit({ actor: admin, action: 'suspend_user', targetType: 'user', targetId: author._id, report: report._id, note });
+    }
 
-    const posts = await Post.find({ creator: context.userId }).populate('creator', 'name email status role avatar').populate('likes', 'name email status role avatar').sort({ createdAt: -1 });
+    // Every open report on the same target is settled by one decision
+    await Report.updateMany(
+      { targetType, targetId, status: 'open' },
+      {
+        $set: {
+          status: action === 'dismiss' ? 'dismissed' : 'actioned',
+          action,
+          resolvedBy: admin._id,
+          resolvedAt: new Date(),
+          note: (note || '').trim()
+        }
+      }
+    );
+    if (action !== 'suspend') {
+      await recordAudit({
+        actor: admin,
+        action: action === 'dismiss' ? 'dismiss_report' : `${action}_${targetType}`,
+        targetType: action === 'dismiss' ? 'report' : targetType,
+        targetId: action === 'dismiss' ? report._id : targetId,
+        report: report._id,
+        note
+      });
+    }
 
-    return {
-      ...mapUserData(currentUser),
-      savedPosts: await Promise.all((currentUser.savedPosts || []).filter(p => p && p._id).map(p => mapPostData(p))),
-      posts: await Promise.all(posts.map(p => mapPostData(p))),
-      followers: currentUser.followers ? currentUser.followers.map(u => mapUserData(u)) : [],
-      following: currentUser.following ? currentUser.following.map(u => mapUserData(u)) : [],
-      followersCount: currentUser.followers ? currentUser.followers.length : 0,
-      followingCount: currentUser.following ? currentUser.following.length : 0,
-      postsCount: posts.length
-    };
+    return mapReportData(await Report.findById(report._id));
   },
 
-  unfollowUser: async function ({ userId }, context) {
-    if (!context?.isAuth) throw new Error('Not authenticated!');
-    if (context.userId === userId) throw new Error('You cannot unfollow yourself!');
+  auditLog: async function ({ actorId, targetType, targetId, first, after }, context) {
+    await requireAdmin(context);
+    const filter = {};
+    if (actorId) filter.actor = actorId;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
 
-    const currentUser = await User.findById(context.userId);
-    const targetUser = await User.findById(userId);
+    const { items: entries, pageInfo } = await paginate(
+      (cursorFilter, sort, limit) => AuditLog.find({ ...filter, ...cursorFilter }).sort(sort).limit(limit),
+      { first, after }
+    );
 
-    if (!currentUser || !targetUser) throw new Error('User not found!');
+    return { entries: entries.map(mapAuditEntry), pageInfo };
+  },
 
-    // Remove from current user's following
-    currentUser.following.pull(userId);
-    await currentUser.save();
+  // ========== ADMIN ==========
 
-    // Remove from target user's followers
-    targetUser.followers.pull(context.userId);
-    await targetUser.save();
+  makeAdmin: async function ({ userId }, context) {
+    const admin = await requireAdmin(context);
+    const user = await findAdminTarget(userId, admin, 'change the role of');
+    user.role = 'admin';
+    await user.save();
+    await recordAudit({ actor: admin, action: 'make_admin', targetType: 'user', targetId: user._id });
+    return mapUserData(user);
+  },
 
-    // Return updated current user with populated data
-    await currentUser.populate('followers', 'name email status role avatar username bio');
-    await currentUser.populate('following', 'name email status role avatar username bio');
-    await currentUser.populate('savedPosts');
+  removeAdmin: async function ({ userId }, context) {
+    const admin = await requireAdmin(context);
+    const user = await findAdminTarget(userId, admin, 'change the role of');
+    user.role = 'user';
+    await user.save();
+    await recordAudit({ actor: admin, action: 'remove_admin', targetType: 'user', targetId: user._id });
+    return mapUserData(user);
+  },
 
-    const posts = await Post.find({ creator: context.userId }).populate('creator', 'name email status role avatar').populate('likes', 'name email status role avatar').sort({ createdAt: -1 });
+  suspendUser: async function ({ userId, reason }, context) {
+    const admin = await requireAdmin(context);
+    const user = await findAdminTarget(userId, admin, 'suspend');
+    await suspendAccount(user, reason);
+    await recordAudit({ actor: admin, action: 'suspend_user', targetType: 'user', targetId: user._id, note: reason });
+    return mapUserData(user);
+  },
 
-    return {
-      ...mapUserData(currentUser),
-      savedPosts: await Promise.all((currentUser.savedPosts || []).filter(p => p && p._id).map(p => mapPostData(p))),
-      posts: await Promise.all(posts.map(p => mapPostData(p))),
-      followers: currentUser.followers ? currentUser.followers.map(u => mapUserData(u)) : [],
-      following: currentUser.following ? currentUser.following.map(u => mapUserData(u)) : [],
-      followersCount: currentUser.followers ? currentUser.followers.length : 0,
-      followingCount: currentUser.following ? currentUser.following.length : 0,
-      postsCount: posts.length
-    };
+  unsuspendUser: async function ({ userId }, context) {
+    const admin = await requireAdmin(context);
+    const user = await findAdminTarget(userId, admin, 'unsuspend');
+    user.suspended = false;
+    user.suspendedAt = null;
+    user.suspendedReason = '';
+    await user.save();
+    await recordAudit({ actor: admin, action: 'unsuspend_user', targetType: 'user', targetId: user._id });
+    return mapUserData(user);
+  },
+
+  deleteUser: async function ({ userId }, context) {
+    const admin = await requireAdmin(context);
+    const user = await findAdminTarget(userId, admin, 'delete');
+    await revokeAllSessions(user._id);
+    await deleteUserCascade(user);
+    await recordAudit({ actor: admin, action: 'delete_user', targetType: 'user', targetId: user._id });
+    return true;
   }
 };
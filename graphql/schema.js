@@ -1,44 +1,76 @@
 const { buildSchema } = require('graphql');
 
 module.exports = buildSchema(`
+    type ImageSet {
+        thumb: String!
+        medium: String!
+        full: String!
+    }
+
     type Post {
         _id: ID!
         title: String!
         content: String!
         imageUrl: String
+        images(webp: Boolean): ImageSet
         creator: User!
         createdAt: String!
         updatedAt: String!
-        likes: [User!]!
+        likes: [User!]! @deprecated(reason: "Loads every liker; use likesCount, likedByViewer or the likers query.")
         likesCount: Int!
+        likedByViewer: Boolean!
         comments: [Comment!]!
         commentsCount: Int!
+        tags: [String!]!
+        mentions: [User!]!
+        hidden: Boolean!
+        edited: Boolean!
+        editedAt: String
     }
 
     type Comment {
         _id: ID!
         content: String!
         parentId: ID
+        depth: Int!
         creator: User!
         post: Post!
         createdAt: String!
         updatedAt: String!
         likes: [User!]!
         likesCount: Int!
+        likedByViewer: Boolean!
         replies: [Comment!]!
         repliesCount: Int!
+        tags: [String!]!
+        mentions: [User!]!
+        hidden: Boolean!
+        deleted: Boolean!
+        edited: Boolean!
+        editedAt: String
+    }
+
+    type Revision {
+        _id: ID!
+        title: String
+        content: String!
+        imageUrl: String
+        editor: User!
+        createdAt: String!
     }
 
     type PaginatedComments {
         comments: [Comment!]!
         totalComments: Int!
         hasMore: Boolean!
+        pageInfo: PageInfo!
     }
 
     type PaginatedReplies {
         replies: [Comment!]!
         totalReplies: Int!
         hasMore: Boolean!
+        pageInfo: PageInfo!
     }
 
     type Reply {
@@ -48,16 +80,32 @@ module.exports = buildSchema(`
         createdAt: String!
     }
 
+    type PrivacySettings {
+        bio: String!
+        status: String!
+        followLists: String!
+        savedPosts: String!
+    }
+
     type User {
         _id: ID!
         name: String!
         username: String
-        email: String!
-        password: String
+        email: String
+        emailVerified: Boolean
         bio: String
-        status: String!
+        status: String
+        privacy: PrivacySettings
+        isPrivate: Boolean!
+        followStatus: String!
+        isBlocked: Boolean!
+        isMuted: Boolean!
         role: String!
+        suspended: Boolean!
+        suspendedAt: String
+        suspendedReason: String
         avatar: String
+        images(webp: Boolean): ImageSet
         posts: [Post!]!
         savedPosts: [Post!]!
         followers: [User!]!
@@ -67,20 +115,136 @@ module.exports = buildSchema(`
         postsCount: Int!
     }
 
+    type PageInfo {
+        hasNextPage: Boolean!
+        hasPreviousPage: Boolean!
+        startCursor: String
+        endCursor: String
+    }
+
+    type FeedData {
+        posts: [Post!]!
+        pageInfo: PageInfo!
+        mode: String!
+    }
+
+    type TagCount {
+        tag: String!
+        count: Int!
+    }
+
+    type TaggedPosts {
+        tag: String!
+        posts: [Post!]!
+        pageInfo: PageInfo!
+    }
+
+    type SearchResult {
+        type: String!
+        score: Float!
+        snippet: String
+        post: Post
+        user: User
+        comment: Comment
+    }
+
+    type SearchResults {
+        results: [SearchResult!]!
+        pageInfo: PageInfo!
+    }
+
+    type Notification {
+        _id: ID!
+        type: String!
+        message: String!
+        actors: [User!]!
+        actorsCount: Int!
+        latestActor: User!
+        post: Post
+        comment: Comment
+        read: Boolean!
+        createdAt: String!
+        updatedAt: String!
+    }
+
+    type NotificationData {
+        notifications: [Notification!]!
+        totalNotifications: Int!
+        hasMore: Boolean!
+    }
+
+    type NotificationPreferences {
+        likes: Boolean!
+        comments: Boolean!
+        replies: Boolean!
+        follows: Boolean!
+        mentions: Boolean!
+    }
+
+    type Report {
+        _id: ID!
+        targetType: String!
+        targetId: ID!
+        reason: String!
+        status: String!
+        action: String
+        note: String!
+        reporter: User!
+        targetUser: User!
+        post: Post
+        comment: Comment
+        openReportsCount: Int!
+        resolvedBy: User
+        resolvedAt: String
+        createdAt: String!
+    }
+
+    type ReportData {
+        reports: [Report!]!
+        totalReports: Int!
+        pageInfo: PageInfo!
+    }
+
+    type AuditEntry {
+        _id: ID!
+        actor: User!
+        action: String!
+        targetType: String!
+        targetId: ID!
+        report: ID
+        note: String!
+        createdAt: String!
+    }
+
+    type AuditLogData {
+        entries: [AuditEntry!]!
+        pageInfo: PageInfo!
+    }
+
+    type Likers {
+        users: [User!]!
+        likesCount: Int!
+        pageInfo: PageInfo!
+    }
+
     type AuthData {
         token: String!
+        refreshToken: String!
         userId: String!
+        expiresIn: Int!
     }
 
     type PostData {
         posts: [Post!]!
         totalPosts: Int!
+        pageInfo: PageInfo!
     }
 
     input UserInputData {
         email: String!
         name: String!
         password: String!
+        username: String
     }
 
     input PostInputData {
@@ -101,29 +265,71 @@ module.exports = buildSchema(`
         bio: String
         status: String
         avatar: String
+        isPrivate: Boolean
+    }
+
+    input PrivacySettingsInput {
+        bio: String
+        status: String
+        followLists: String
+        savedPosts: String
+    }
+
+    input NotificationPreferencesInput {
+        likes: Boolean
+        comments: Boolean
+        replies: Boolean
+        follows: Boolean
+        mentions: Boolean
     }
 
     type RootQuery {
         login(email: String!, password: String!): AuthData!
-        posts(page: Int, limit: Int): PostData!
+        posts(page: Int, limit: Int, first: Int, after: String, last: Int, before: String): PostData!
+        feed(first: Int, after: String, mode: String): FeedData!
+        postsByTag(tag: String!, first: Int, after: String): TaggedPosts!
+        trendingTags(window: String, limit: Int): [TagCount!]!
+        search(query: String!, type: String, cursor: String, limit: Int): SearchResults!
         post(id: ID!): Post!
+        likers(postId: ID!, cursor: String, limit: Int): Likers!
+        postRevisions(postId: ID!): [Revision!]!
+        commentRevisions(commentId: ID!): [Revision!]!
         user: User!
         users: [User!]!
         userById(userId: ID!): User!
         userByUsername(username: String!): User!
+        isUsernameAvailable(username: String!): Boolean!
         followers(userId: ID!): [User!]!
         following(userId: ID!): [User!]!
-        comments(postId: ID!, page: Int, limit: Int): PaginatedComments!
-        replies(commentId: ID!): [Comment!]!
-        paginatedComments(postId: ID!, page: Int, limit: Int): PaginatedComments!
-        paginatedReplies(commentId: ID!, page: Int, limit: Int): PaginatedReplies!
+        followRequests: [User!]!
+        blockedUsers: [User!]!
+        mutedUsers: [User!]!
+        comments(postId: ID!, page: Int, limit: Int, maxDepth: Int): [Comment!]!
+        replies(commentId: ID!, maxDepth: Int): [Comment!]!
+        paginatedComments(postId: ID!, page: Int, limit: Int, first: Int, after: String, last: Int, before: String, maxDepth: Int): PaginatedComments!
+        paginatedReplies(commentId: ID!, page: Int, limit: Int, first: Int, after: String, last: Int, before: String): PaginatedReplies!
+        notifications(page: Int, limit: Int): NotificationData!
+        unreadNotificationsCount: Int!
+        notificationPreferences: NotificationPreferences!
+        moderationQueue(status: String, targetType: String, first: Int, after: String): ReportData!
+        auditLog(actorId: ID, targetType: String, targetId: ID, first: Int, after: String): AuditLogData!
     }
 
     type RootMutation {
         createUser(userInput: UserInputData!): User!
+        refreshToken(refreshToken: String!): AuthData!
+        logout(refreshToken: String): Boolean
+        logoutAll: Boolean
+        requestEmailVerification: Boolean
+        verifyEmail(token: String!): Boolean
+        requestPasswordReset(email: String!): Boolean
+        resetPassword(token: String!, password: String!): Boolean
+        changePassword(currentPassword: String!, newPassword: String!): Boolean
         createPost(postInput: PostInputData!): Post!
         updatePost(id: ID!, postInput: PostInputData!): Post!
         deletePost(id: ID!): Boolean
+        restorePost(id: ID!): Post!
+        revertPost(postId: ID!, revisionId: ID!): Post!
         updateStatus(status: String!): User!
         updateUser(userInput: UpdateUserInput!): User!
         likePost(postId: ID!): Post!
@@ -131,8 +337,15 @@ module.exports = buildSchema(`
         addComment(commentInput: CommentInputData!): Comment!
         updateComment(commentId: ID!, content: String!): Comment!
         deleteComment(commentId: ID!): Boolean
+        restoreComment(commentId: ID!): Comment!
+        revertComment(commentId: ID!, revisionId: ID!): Comment!
         deleteUser(userId: ID!): Boolean
         makeAdmin(userId: ID!): User!
+        removeAdmin(userId: ID!): User!
+        suspendUser(userId: ID!, reason: String): User!
+        unsuspendUser(userId: ID!): User!
+        reportContent(targetType: String!, targetId: ID!, reason: String!): Report!
+        moderateReport(reportId: ID!, action: String!, note: String): Report!
         addReply(postId: ID!, commentId: ID!, content: String!): Comment!
         likeComment(commentId: ID!): Comment!
         unlikeComment(commentId: ID!): Comment!
@@ -140,6 +353,16 @@ module.exports = buildSchema(`
         unsavePost(postId: ID!): User!
         followUser(userId: ID!): User!
         unfollowUser(userId: ID!): User!
+        approveFollowRequest(userId: ID!): User!
+        rejectFollowRequest(userId: ID!): Boolean
+        removeFollower(userId: ID!): Boolean
+        blockUser(userId: ID!): Boolean
+        unblockUser(userId: ID!): Boolean
+        muteUser(userId: ID!): Boolean
+        unmuteUser(userId: ID!): Boolean
+        updatePrivacySettings(privacy: PrivacySettingsInput!): PrivacySettings!
+        markNotificationsRead(notificationIds: [ID!]): Int!
+        updateNotificationPreferences(preferences: NotificationPreferencesInput!): NotificationPreferences!
     }
 
     schema {
@@ -1,6 +1,6 @@
- const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../util/token');
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   const authHeader = req.get('Authorization');
   if (!authHeader) {
     req.isAuth = false;
@@ -14,8 +14,10 @@ module.exports = (req, res, next) => {
   }
 
   try {
-    const decodedToken = jwt.verify(token, process.env.JWT_SECRET);
+    // Rejects expired tokens as well as tokens whose session was revoked or rotated.
+    const decodedToken = await verifyAccessToken(token);
     req.userId = decodedToken.userId;
+    req.sessionId = decodedToken.sid;
     req.isAuth = true;
   } catch (err) {
     req.isAuth = false;
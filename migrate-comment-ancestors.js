@@ -0,0 +1,63 @@
+// Backfill `ancestors` and `depth` on comments created before they were stored
+// Usage: node migrate-comment-ancestors.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Comment = require('./models/comment');
+
+const MONGO_URI = (process.env.MONGO_URI || '').trim();
+
+async function migrateCommentAncestors() {
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB\n');
+
+        // Level 0: top-level comments
+        const roots = await Comment.updateMany(
+            { parentId: null },
+            { $set: { ancestors: [], depth: 0 } }
+        );
+        console.log(`Depth 0: updated ${roots.modifiedCount} comment(s)`);
+
+        // Walk the threads one level at a time, copying the parent's path down
+        let frontier = await Comment.find({ parentId: null }).select('_id ancestors');
+        let depth = 1;
+        let visited = frontier.length;
+
+        while (frontier.length > 0) {
+            const parents = new Map(frontier.map(p => [p._id.toString(), p]));
+            const children = await Comment.find({ parentId: { $in: [...parents.keys()] } }).select('_id parentId');
+            if (children.length === 0) break;
+
+            const ops = children.map(child => {
+                const parent = parents.get(child.parentId.toString());
+                return {
+                    updateOne: {
+                        filter: { _id: child._id },
+                        update: { $set: { ancestors: [...parent.ancestors, parent._id], depth } }
+                    }
+                };
+            });
+            const result = await Comment.bulkWrite(ops);
+            console.log(`Depth ${depth}: updated ${result.modifiedCount} comment(s)`);
+
+            frontier = await Comment.find({ _id: { $in: children.map(c => c._id) } }).select('_id ancestors');
+            visited += children.length;
+            depth++;
+        }
+
+        const total = await Comment.countDocuments();
+        if (total > visited) {
+            console.log(`\n⚠️  ${total - visited} comment(s) reply to a comment that no longer exists and were left untouched.`);
+        }
+
+        console.log('\n✅ Comment ancestors migration complete!');
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+}
+
+migrateCommentAncestors();
@@ -0,0 +1,36 @@
+// Backfill `likesCount` on posts and comments stored before it existed. Run it
+// before deploying the like counters: liking an old post would otherwise start
+// counting from 0 instead of from the likes it already has.
+// Usage: node migrate-likes-count.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('./models/post');
+const Comment = require('./models/comment');
+
+const MONGO_URI = (process.env.MONGO_URI || '').trim();
+
+async function migrateLikesCount() {
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB\n');
+
+        for (const [name, Model] of Object.entries({ posts: Post, comments: Comment })) {
+            const result = await Model.updateMany(
+                { likesCount: { $exists: false } },
+                [{ $set: { likesCount: { $size: { $ifNull: ['$likes', []] } } } }],
+                { updatePipeline: true }
+            );
+            console.log(`${name}: backfilled likesCount on ${result.modifiedCount} document(s)`);
+        }
+
+        console.log('\n✅ Likes count migration complete!');
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+}
+
+migrateLikesCount();
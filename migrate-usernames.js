@@ -0,0 +1,70 @@
+// Give every user a unique, valid handle and build the case-insensitive unique index on it.
+// Users keep their handle when it is valid and nobody earlier has it (case-insensitively);
+// everyone else gets one generated from their name or email. Replaced handles are kept as
+// old handles, so existing links and @mentions still find the user.
+// Usage: node migrate-usernames.js   (run it before starting the new server version)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/user');
+const { usernameErrors, suggestUsername } = require('./util/usernames');
+
+const MONGO_URI = (process.env.MONGO_URI || '').trim();
+
+async function migrateUsernames() {
+    try {
+        // Index builds wait until every handle is unique
+        await mongoose.connect(MONGO_URI, { autoIndex: false });
+        console.log('✅ Connected to MongoDB\n');
+
+        const users = await User.find().sort({ _id: 1 }).select('_id name email username previousUsernames');
+        const taken = new Set();
+        const kept = [];
+        const toRename = [];
+
+        users.forEach(user => {
+            const handle = (user.username || '').trim();
+            if (handle && usernameErrors(handle).length === 0 && !taken.has(handle.toLowerCase())) {
+                taken.add(handle.toLowerCase());
+                kept.push(user);
+            } else {
+                toRename.push(user);
+            }
+        });
+        console.log(`Users keeping their username: ${kept.length}`);
+
+        const ops = [];
+        for (const user of toRename) {
+            const oldHandle = (user.username || '').trim();
+            const username = await suggestUsername(user, candidate => taken.has(candidate.toLowerCase()));
+            taken.add(username.toLowerCase());
+
+            // An invalid old handle can never be claimed again, so it may keep leading here;
+            // a duplicate one stays with the user who had it first.
+            const keepOld = oldHandle && !taken.has(oldHandle.toLowerCase());
+            const previousUsernames = keepOld ? [oldHandle, ...(user.previousUsernames || [])] : user.previousUsernames || [];
+            if (keepOld) taken.add(oldHandle.toLowerCase());
+            ops.push({ updateOne: { filter: { _id: user._id }, update: { $set: { username, previousUsernames } } } });
+            console.log(`   ${oldHandle ? `"${oldHandle}"` : '(none)'} -> ${username}`);
+        }
+        if (ops.length > 0) await User.bulkWrite(ops);
+        console.log(`Users given a new username: ${ops.length}`);
+
+        // The old plain index has the same name as the new unique one, so it has to go first
+        const indexes = await User.collection.indexes();
+        if (indexes.some(index => index.name === 'username_1' && !index.unique)) {
+            await User.collection.dropIndex('username_1');
+        }
+        await User.createIndexes();
+        console.log('\n✅ Username indexes built');
+
+        console.log('\n✅ Username migration complete!');
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+}
+
+migrateUsernames();
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One-time tokens mailed to users (email verification, password reset). Only
+// the hash is stored; a token is spent by setting `usedAt`.
+const actionTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    purpose: {
+      type: String,
+      enum: ['verify_email', 'reset_password'],
+      required: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+actionTokenSchema.index({ user: 1, purpose: 1 });
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ActionToken', actionTokenSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Append-only record of every admin action. Entries are never updated or deleted.
+const auditLogSchema = new Schema(
+  {
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    action: {
+      type: String,
+      required: true
+    },
+    targetType: {
+      type: String,
+      enum: ['post', 'comment', 'user', 'report'],
+      required: true
+    },
+    targetId: {
+      type: Schema.Types.ObjectId,
+      required: true
+    },
+    report: {
+      type: Schema.Types.ObjectId,
+      ref: 'Report',
+      default: null
+    },
+    note: {
+      type: String,
+      default: ''
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
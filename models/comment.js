@@ -23,12 +23,62 @@ const commentSchema = new Schema(
       ref: 'Comment',
       default: null
     },
+    // Materialized path: every comment above this one, root first. Lets a
+    // whole subtree be loaded or deleted with a single `ancestors` query.
+    ancestors: [{
+      type: Schema.Types.ObjectId,
+      ref: 'Comment'
+    }],
+    depth: {
+      type: Number,
+      default: 0
+    },
+    // Who liked it; only ever changed with $addToSet/$pull together with `likesCount`
     likes: [{
       type: Schema.Types.ObjectId,
       ref: 'User'
-    }]
+    }],
+    // Size of `likes`, kept so reads never need the array. check-integrity.js --fix recounts it.
+    likesCount: {
+      type: Number,
+      default: 0
+    },
+    tags: [{
+      type: String
+    }],
+    mentions: [{
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Hidden by a moderator: only admins still see it
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    // Set on every edit; earlier versions are kept as revisions
+    editedAt: {
+      type: Date,
+      default: null
+    },
+    // Soft deletion: restorable until the purge job removes it for good
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
   },
   { timestamps: true }
 );
 
+commentSchema.index({ post: 1, parentId: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ parentId: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ ancestors: 1, depth: 1 });
+commentSchema.index({ tags: 1, createdAt: -1 });
+commentSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+commentSchema.index({ content: 'text' }, { name: 'comment_text' });
+
 module.exports = mongoose.model('Comment', commentSchema);
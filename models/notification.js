@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const notificationSchema = new Schema(
+  {
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['like_post', 'like_comment', 'comment', 'reply', 'follow', 'follow_request', 'follow_accepted', 'mention'],
+      required: true
+    },
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: 'Post',
+      default: null
+    },
+    comment: {
+      type: Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null
+    },
+    // Repeated actions on the same target are collapsed into one unread
+    // notification, e.g. "5 people liked your post".
+    actors: [{
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    latestActor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    read: {
+      type: Boolean,
+      default: false
+    },
+    readAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ recipient: 1, updatedAt: -1 });
+notificationSchema.index(
+  { recipient: 1, type: 1, post: 1, comment: 1 },
+  { unique: true, partialFilterExpression: { read: false } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -21,12 +21,51 @@ const postSchema = new Schema(
       ref: 'User',
       required: true
     },
+    // Who liked it; only ever changed with $addToSet/$pull together with `likesCount`
     likes: [{
       type: Schema.Types.ObjectId,
       ref: 'User'
-    }]
+    }],
+    // Size of `likes`, kept so reads never need the array. check-integrity.js --fix recounts it.
+    likesCount: {
+      type: Number,
+      default: 0
+    },
+    tags: [{
+      type: String
+    }],
+    mentions: [{
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Hidden by a moderator: only admins still see it
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    // Set on every edit; earlier versions are kept as revisions
+    editedAt: {
+      type: Date,
+      default: null
+    },
+    // Soft deletion: restorable until the purge job removes it for good
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
   },
   { timestamps: true }
 );
 
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ creator: 1, createdAt: -1, _id: -1 });
+postSchema.index({ tags: 1, createdAt: -1, _id: -1 });
+postSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+postSchema.index({ title: 'text', content: 'text' }, { weights: { title: 3, content: 1 }, name: 'post_text' });
+
 module.exports = mongoose.model('Post', postSchema);
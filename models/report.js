@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A user flagging a post, comment or account for the moderators. Reports stay
+// 'open' until an admin resolves them; every open report on the same target is
+// resolved together.
+const reportSchema = new Schema(
+  {
+    reporter: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    targetType: {
+      type: String,
+      enum: ['post', 'comment', 'user'],
+      required: true
+    },
+    targetId: {
+      type: Schema.Types.ObjectId,
+      required: true
+    },
+    // The account behind the target: the author of a post or comment, or the reported user
+    targetUser: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['open', 'dismissed', 'actioned'],
+      default: 'open'
+    },
+    action: {
+      type: String,
+      enum: ['dismiss', 'hide', 'delete', 'suspend', null],
+      default: null
+    },
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    },
+    note: {
+      type: String,
+      default: ''
+    }
+  },
+  { timestamps: true }
+);
+
+reportSchema.index({ status: 1, createdAt: -1, _id: -1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+// One open report per reporter and target
+reportSchema.index(
+  { reporter: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A post or comment as it was before an edit. The current version lives on
+// the post or comment itself; revisions hold everything it replaced.
+const revisionSchema = new Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ['post', 'comment'],
+      required: true
+    },
+    target: {
+      type: Schema.Types.ObjectId,
+      required: true
+    },
+    // Who made the edit that replaced this version
+    editor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    title: {
+      type: String,
+      default: null
+    },
+    content: {
+      type: String,
+      required: true
+    },
+    imageUrl: {
+      type: String,
+      default: null
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+revisionSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Revision', revisionSchema);
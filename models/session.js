@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One session per login. The refresh token is rotated on every use; the
+// generation counter lets access tokens issued before a rotation be rejected.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true
+    },
+    generation: {
+      type: Number,
+      default: 0
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB drop sessions once their refresh token can no longer be used.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An image stored through /post-image and who uploaded it. Only the
+// uploader may ask for it to be deleted again.
+const uploadSchema = new Schema(
+  {
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    // Path of the full-size image as handed to the client, e.g. images/<id>.jpg
+    path: {
+      type: String,
+      required: true,
+      unique: true
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+module.exports = mongoose.model('Upload', uploadSchema);
@@ -10,14 +10,25 @@ const userSchema = new Schema({
     type: String,
     required: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   name: {
     type: String,
     required: true
   },
+  // Unique regardless of case; see util/usernames.js for the format rules
   username: {
-    type: String,
-    default: ''
+    type: String
   },
+  // Handles the user had before renaming, newest first. They stay reserved
+  // for this user and still lead to their profile.
+  previousUsernames: [String],
   bio: {
     type: String,
     default: ''
@@ -31,10 +42,42 @@ const userSchema = new Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  suspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedReason: {
+    type: String,
+    default: ''
+  },
   avatar: {
     type: String,
     default: ''
   },
+  // Private accounts approve followers; their posts are hidden from everyone else.
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Who may see each part of the profile: 'everyone', 'followers' or 'nobody'.
+  // The owner and admins can always see everything.
+  privacy: {
+    bio: { type: String, enum: ['everyone', 'followers', 'nobody'], default: 'everyone' },
+    status: { type: String, enum: ['everyone', 'followers', 'nobody'], default: 'everyone' },
+    followLists: { type: String, enum: ['everyone', 'followers', 'nobody'], default: 'everyone' },
+    savedPosts: { type: String, enum: ['everyone', 'followers', 'nobody'], default: 'nobody' }
+  },
+  notificationPreferences: {
+    likes: { type: Boolean, default: true },
+    comments: { type: Boolean, default: true },
+    replies: { type: Boolean, default: true },
+    follows: { type: Boolean, default: true },
+    mentions: { type: Boolean, default: true }
+  },
   posts: [
     {
       type: Schema.Types.ObjectId,
@@ -58,7 +101,43 @@ const userSchema = new Schema({
       type: Schema.Types.ObjectId,
       ref: 'User'
     }
+  ],
+  // Pending requests to follow this (private) account
+  followRequests: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ],
+  // Blocking is mutual in effect: neither side sees or interacts with the other.
+  blocked: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ],
+  // Muted users' content is hidden from this user's feeds and comment lists only.
+  muted: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
   ]
 });
 
+userSchema.index(
+  { username: 1 },
+  {
+    unique: true,
+    collation: { locale: 'en', strength: 2 },
+    partialFilterExpression: { username: { $type: 'string' } }
+  }
+);
+userSchema.index({ previousUsernames: 1 }, { collation: { locale: 'en', strength: 2 } });
+userSchema.index({ blocked: 1 });
+userSchema.index(
+  { name: 'text', username: 'text', bio: 'text' },
+  { weights: { username: 5, name: 3, bio: 1 }, name: 'user_text' }
+);
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,30 @@
+// Hard-delete posts and comments whose restore window has passed, with their images
+// Usage: node purge-deleted.js   (run it daily, e.g. from cron)
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { purgeExpired, RESTORE_WINDOW_DAYS } = require('./util/purge');
+
+const MONGO_URI = (process.env.MONGO_URI || '').trim();
+
+async function purgeDeleted() {
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB\n');
+        console.log(`Purging items deleted more than ${RESTORE_WINDOW_DAYS} day(s) ago...\n`);
+
+        const result = await purgeExpired();
+        console.log(`🗑️  Posts purged: ${result.posts}`);
+        console.log(`🗑️  Comments purged: ${result.comments}`);
+        console.log(`💬 Comments kept as "[deleted]" placeholders: ${result.placeholders}`);
+
+        console.log('\n✅ Purge complete!');
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    }
+}
+
+purgeDeleted();
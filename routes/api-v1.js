@@ -0,0 +1,75 @@
+const express = require('express');
+
+const authController = require('../controllers/auth');
+const feedController = require('../controllers/feed');
+const commentsController = require('../controllers/comments');
+const usersController = require('../controllers/users');
+const followsController = require('../controllers/follows');
+const { NotFoundError } = require('../util/errors');
+
+// REST API, version 1. Handlers call the same services as the GraphQL
+// resolvers and shape their payloads with the same mappers (see
+// controllers/views.js), so authorization, validation and error codes are
+// the same as on /graphql.
+const router = express.Router();
+
+// "me" stands for the caller wherever a user id is expected
+router.param('userId', (req, res, next, userId) => {
+  if (userId === 'me' && req.isAuth) req.params.userId = req.userId;
+  next();
+});
+
+// Auth
+router.post('/auth/signup', authController.signup);
+router.post('/auth/login', authController.login);
+router.post('/auth/refresh', authController.refresh);
+router.post('/auth/logout', authController.logout);
+router.post('/auth/logout-all', authController.logoutAll);
+
+// Posts
+router.get('/posts', feedController.getPosts);
+router.post('/posts', feedController.createPost);
+router.get('/feed', feedController.getFeed);
+router.get('/posts/:postId', feedController.getPost);
+router.put('/posts/:postId', feedController.updatePost);
+router.delete('/posts/:postId', feedController.deletePost);
+router.post('/posts/:postId/restore', feedController.restorePost);
+router.put('/posts/:postId/like', feedController.likePost);
+router.delete('/posts/:postId/like', feedController.unlikePost);
+router.get('/posts/:postId/likers', feedController.getLikers);
+router.put('/posts/:postId/save', feedController.savePost);
+router.delete('/posts/:postId/save', feedController.unsavePost);
+
+// Comments
+router.get('/posts/:postId/comments', commentsController.getComments);
+router.post('/posts/:postId/comments', commentsController.createComment);
+router.get('/comments/:commentId/replies', commentsController.getReplies);
+router.patch('/comments/:commentId', commentsController.updateComment);
+router.delete('/comments/:commentId', commentsController.deleteComment);
+router.post('/comments/:commentId/restore', commentsController.restoreComment);
+router.put('/comments/:commentId/like', commentsController.likeComment);
+router.delete('/comments/:commentId/like', commentsController.unlikeComment);
+
+// Users (fixed paths before /users/:userId)
+router.get('/users/me', usersController.getMe);
+router.patch('/users/me', usersController.updateMe);
+router.get('/users/me/status', usersController.getUserStatus);
+router.put('/users/me/status', usersController.updateUserStatus);
+router.get('/users/by-username/:username', usersController.getUserByUsername);
+router.get('/usernames/:username/availability', usersController.getUsernameAvailability);
+router.get('/users/:userId', usersController.getUser);
+router.get('/users/:userId/posts', usersController.getUserPosts);
+
+// Follows
+router.get('/users/me/follow-requests', followsController.getFollowRequests);
+router.post('/users/me/follow-requests/:userId', followsController.approveFollowRequest);
+router.delete('/users/me/follow-requests/:userId', followsController.rejectFollowRequest);
+router.delete('/users/me/followers/:userId', followsController.removeFollower);
+router.get('/users/:userId/followers', followsController.getFollowers);
+router.get('/users/:userId/following', followsController.getFollowing);
+router.put('/users/:userId/follow', followsController.follow);
+router.delete('/users/:userId/follow', followsController.unfollow);
+
+router.use((req, res, next) => next(new NotFoundError('No such API endpoint.')));
+
+module.exports = router;
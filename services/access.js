@@ -0,0 +1,249 @@
+const User = require('../models/user');
+const Post = require('../models/post');
+const { UnauthenticatedError, ForbiddenError, NotFoundError, ValidationError } = require('../util/errors');
+const { isRestorable } = require('../util/purge');
+
+// Who may see and do what. Shared by every service and by the read-only
+// resolvers, so both transports apply the same rules.
+
+/* ✅ Helper to refuse anonymous callers */
+function requireAuth(context) {
+  if (!context?.isAuth) throw new UnauthenticatedError();
+}
+
+const PRIVACY_LEVELS = ['everyone', 'followers', 'nobody'];
+const PRIVACY_DEFAULTS = { bio: 'everyone', status: 'everyone', followLists: 'everyone', savedPosts: 'nobody' };
+
+/* ✅ Helper to read a user's privacy settings with their defaults */
+function mapPrivacySettings(privacy = {}) {
+  return Object.keys(PRIVACY_DEFAULTS).reduce((settings, key) => ({
+    ...settings,
+    [key]: PRIVACY_LEVELS.includes(privacy[key]) ? privacy[key] : PRIVACY_DEFAULTS[key]
+  }), {});
+}
+
+/* ✅ Helper to load who is asking, once per request */
+function getViewer(context) {
+  if (!context?.isAuth) return Promise.resolve(null);
+  if (!context.viewer) context.viewer = User.findById(context.userId).select('role following blocked muted');
+  return context.viewer;
+}
+
+/* ✅ Helper listing everyone the viewer has blocked or been blocked by, once per request */
+function getBlockedIds(context) {
+  if (!context.blockedIds) {
+    context.blockedIds = getViewer(context).then(async viewer => {
+      if (!viewer) return [];
+      const blockedBy = await User.find({ blocked: viewer._id }).distinct('_id');
+      return [...viewer.blocked, ...blockedBy];
+    });
+  }
+  return context.blockedIds;
+}
+
+/* ✅ Helper telling whether a block stands between the viewer and `userId`, in either direction */
+async function isBlockedWith(context, userId) {
+  if (!userId) return false;
+  const id = (userId._id || userId).toString();
+  return (await getBlockedIds(context)).some(b => b.toString() === id);
+}
+
+/* ✅ Helper to refuse any interaction across a block */
+async function requireNotBlocked(context, userId) {
+  if (await isBlockedWith(context, userId)) {
+    throw new ForbiddenError('You cannot interact with this user.');
+  }
+}
+
+/* ✅ Helper returning the Comment filter hiding blocked and muted authors from the viewer */
+async function visibleCommentFilter(context) {
+  const viewer = await getViewer(context);
+  if (!viewer) return {};
+  const filter = await hiddenContentFilter(context);
+  const hiddenAuthors = [...(await getBlockedIds(context)), ...viewer.muted];
+  if (hiddenAuthors.length > 0) filter.creator = { $nin: hiddenAuthors };
+  return filter;
+}
+
+/* ✅ Helper deciding whether the viewer sees content hidden by moderators:
+   admins always do, and authors still see their own when `ownerId` is given. */
+async function canSeeHidden(context, ownerId = null) {
+  const viewer = await getViewer(context);
+  if (!viewer) return false;
+  return viewer.role === 'admin' || (!!ownerId && viewer._id.toString() === ownerId.toString());
+}
+
+/* ✅ Helper returning the filter leaving out hidden content the viewer may not see */
+async function hiddenContentFilter(context, ownerId = null) {
+  return (await canSeeHidden(context, ownerId)) ? {} : { hidden: { $ne: true } };
+}
+
+/* ✅ Helper deciding whether the viewer may see a profile part guarded by `level` */
+async function canView(context, ownerId, level) {
+  const viewer = await getViewer(context);
+  if (!viewer) return false;
+  if (viewer._id.toString() === ownerId.toString() || viewer.role === 'admin') return true;
+  if (level === 'everyone') return true;
+  if (level === 'followers') return viewer.following.some(id => id.toString() === ownerId.toString());
+  return false;
+}
+
+/* ✅ Helper to refuse follower/following lookups the owner has hidden */
+async function requireListAccess(context, user) {
+  if (!(await canView(context, user._id, mapPrivacySettings(user.privacy).followLists))) {
+    throw new ForbiddenError('Not authorized! This user has hidden their follow lists.');
+  }
+}
+
+/* ✅ Helper returning the Post filter for what the viewer is allowed to see.
+   Every query that surfaces posts to a viewer should be narrowed by it;
+   feeds also pass `excludeMuted` to drop the viewer's muted users. */
+async function visiblePostFilter(context, { excludeMuted = false } = {}) {
+  const viewer = await getViewer(context);
+  if (!viewer) return { _id: null };
+
+  const privateCreators = viewer.role === 'admin' ? [] : await User.find({
+    isPrivate: true,
+    _id: { $nin: [viewer._id, ...viewer.following] }
+  }).distinct('_id');
+  const hiddenCreators = [
+    ...privateCreators,
+    ...(await getBlockedIds(context)),
+    ...(excludeMuted ? viewer.muted : [])
+  ];
+  const filter = { ...(await hiddenContentFilter(context)), deletedAt: null };
+  if (hiddenCreators.length > 0) filter.creator = { $nin: hiddenCreators };
+  return filter;
+}
+
+/* ✅ Helper deciding whether the viewer may see the posts of `user` */
+async function canSeePostsOf(context, user) {
+  if (!user) return true;
+  if (await isBlockedWith(context, user._id)) return false;
+  if (!user.isPrivate) return true;
+  const viewer = await getViewer(context);
+  if (!viewer) return false;
+  const ownerId = user._id.toString();
+  return viewer._id.toString() === ownerId
+    || viewer.role === 'admin'
+    || viewer.following.some(id => id.toString() === ownerId);
+}
+
+/* ✅ Helper to refuse access to a post (document or id) whose author is private and not followed */
+async function requirePostVisible(post, context) {
+  if (!post || !post.creator) {
+    post = await Post.findById(post).select('creator hidden deletedAt');
+    if (!post) throw new NotFoundError('Post not found!');
+  }
+  if (post.deletedAt) {
+    throw new NotFoundError('Post not found!');
+  }
+  if (post.hidden && !(await canSeeHidden(context, post.creator._id || post.creator))) {
+    throw new NotFoundError('Post not found!');
+  }
+  await requireNotBlocked(context, post.creator);
+  const creator = post.creator && post.creator.isPrivate !== undefined
+    ? post.creator
+    : await User.findById(post.creator).select('isPrivate');
+  if (!(await canSeePostsOf(context, creator))) {
+    throw new ForbiddenError('This account is private.');
+  }
+}
+
+/* ✅ Helper telling whether the viewer may see a post (document or id), for callers
+   that filter rather than refuse */
+async function canSeePost(post, context) {
+  try {
+    await requirePostVisible(post, context);
+    return true;
+  } catch (err) {
+    if (err instanceof NotFoundError || err instanceof ForbiddenError) return false;
+    throw err;
+  }
+}
+
+/* ✅ Helper listing who `userId` has blocked or been blocked by */
+async function blockedIdsOf(userId) {
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select('blocked'),
+    User.find({ blocked: userId }).distinct('_id')
+  ]);
+  return [...(user ? user.blocked : []), ...blockedBy];
+}
+
+/* ✅ Helper working out, once per event, who may see a post as `canSeePost` would decide
+   for each of them: `{ users }` when only those may, else `{ except }` everyone but those */
+async function postAudience(post) {
+  const creatorId = post.creator._id || post.creator;
+  const [creator, blocked, admins] = await Promise.all([
+    User.findById(creatorId).select('isPrivate followers'),
+    blockedIdsOf(creatorId),
+    User.find({ role: 'admin' }).distinct('_id')
+  ]);
+  if (post.hidden) return { users: [creatorId, ...admins] };
+  if (!creator || !creator.isPrivate) return { except: blocked };
+
+  const excluded = new Set(blocked.map(id => id.toString()));
+  const followers = creator.followers.filter(id => !excluded.has(id.toString()));
+  return { users: [creatorId, ...followers, ...admins] };
+}
+
+/* ✅ Helper to ensure the current user is an admin */
+async function requireAdmin(context) {
+  if (!context?.isAuth) throw new UnauthenticatedError();
+  const currentUser = await User.findById(context.userId);
+  if (!currentUser || currentUser.role !== 'admin') {
+    throw new ForbiddenError('Not authorized! Admin access required.');
+  }
+  return currentUser;
+}
+
+/* ✅ Helper to open the edit history of a post or comment to its author and admins */
+async function requireHistoryAccess(doc, context) {
+  const viewer = await getViewer(context);
+  if (!viewer) throw new UnauthenticatedError();
+  if (viewer.role !== 'admin' && doc.creator.toString() !== viewer._id.toString()) {
+    throw new ForbiddenError('Not authorized!');
+  }
+}
+
+/* ✅ Helper to check a restore request: only whoever deleted the item (or an admin)
+   may restore it, and only inside the restore window */
+async function requireRestorable(doc, context, label) {
+  if (!doc.deletedAt) {
+    throw new ValidationError(`This ${label} is not deleted.`);
+  }
+  const viewer = await getViewer(context);
+  const deletedBy = (doc.deletedBy || doc.creator).toString();
+  if (!viewer || (viewer.role !== 'admin' && (deletedBy !== viewer._id.toString() || doc.creator.toString() !== deletedBy))) {
+    throw new ForbiddenError();
+  }
+  if (!isRestorable(doc)) {
+    throw new ValidationError(`The restore window for this ${label} has passed.`);
+  }
+}
+
+module.exports = {
+  requireAuth,
+  PRIVACY_LEVELS,
+  PRIVACY_DEFAULTS,
+  mapPrivacySettings,
+  getViewer,
+  getBlockedIds,
+  isBlockedWith,
+  requireNotBlocked,
+  visibleCommentFilter,
+  canSeeHidden,
+  hiddenContentFilter,
+  canView,
+  requireListAccess,
+  visiblePostFilter,
+  canSeePostsOf,
+  requirePostVisible,
+  canSeePost,
+  blockedIdsOf,
+  postAudience,
+  requireAdmin,
+  requireHistoryAccess,
+  requireRestorable
+};
@@ -0,0 +1,237 @@
+const User = require('../models/user');
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const Revision = require('../models/revision');
+const { NotFoundError, ForbiddenError, ValidationError } = require('../util/errors');
+const { extractTags } = require('../util/entities');
+const { notify, retract } = require('../util/notifications');
+const { findPage } = require('../util/pagination');
+const { limit } = require('../util/rate-limit');
+const { recordRevision } = require('../util/revisions');
+const io = require('../socket');
+const { mapCommentData } = require('../graphql/mappers');
+const {
+  requireAuth, requireNotBlocked, getBlockedIds, blockedIdsOf, visibleCommentFilter, requirePostVisible,
+  requireHistoryAccess, requireRestorable
+} = require('./access');
+const {
+  liveThreadFilter, threadPosition, resolveMentions, notifyMentions, softDeleteComment, findRevision
+} = require('./content');
+
+/* ✅ Helper to refuse empty comment text */
+function requireContent(content, label = 'Comment') {
+  if (!content || !content.trim()) {
+    throw new ValidationError(`${label} cannot be empty!`, [{ field: 'content', message: `${label} cannot be empty!` }]);
+  }
+}
+
+/* ✅ Helper to load a live comment, or fail the way every comment mutation does */
+async function findLiveComment(commentId) {
+  const comment = await Comment.findById(commentId);
+  if (!comment || comment.deletedAt) throw new NotFoundError('Comment not found!');
+  return comment;
+}
+
+/* ✅ Helper to refuse changes to somebody else's comment */
+function requireOwnComment(comment, context) {
+  if (comment.creator.toString() !== context.userId.toString()) throw new ForbiddenError();
+}
+
+/* ✅ Helper to apply an edit to a comment, keeping what it replaces as a revision */
+async function applyCommentEdit(comment, content, context) {
+  const unchanged = content === comment.content;
+  if (!unchanged) await recordRevision('comment', comment, context.userId);
+
+  const previousMentions = [...comment.mentions];
+  comment.content = content;
+  comment.tags = extractTags(content);
+  comment.mentions = await resolveMentions(content);
+  if (!unchanged) comment.editedAt = new Date();
+  await comment.save();
+  await notifyMentions({ mentions: comment.mentions, previousMentions, actor: context.userId, post: comment.post, comment: comment._id });
+  return comment;
+}
+
+/* Comments and replies, their edit history and likes. Every method takes the
+   request context first and returns documents; mapping them is up to the caller. */
+const CommentService = {
+  /* A page of a post's top-level comments, newest first. Deleted comments
+     stay in as placeholders while they still have live replies. */
+  list: async function (context, postId, args) {
+    requireAuth(context);
+    await requirePostVisible(postId, context);
+    const filter = {
+      ...(await visibleCommentFilter(context)),
+      ...(await liveThreadFilter({ post: postId })),
+      post: postId,
+      parentId: null
+    };
+
+    const totalComments = await Comment.countDocuments(filter);
+    const { items: comments, pageInfo } = await findPage(
+      f => Comment.find(f),
+      filter,
+      args,
+      { defaultLimit: 5, total: totalComments }
+    );
+    return { comments, totalComments, pageInfo };
+  },
+
+  /* A page of the direct replies to a comment, newest first */
+  replies: async function (context, commentId, args) {
+    requireAuth(context);
+    const parent = await Comment.findById(commentId).select('post');
+    if (parent) await requirePostVisible(parent.post, context);
+    const filter = {
+      ...(await visibleCommentFilter(context)),
+      ...(await liveThreadFilter({ ancestors: commentId })),
+      parentId: commentId
+    };
+
+    const totalReplies = await Comment.countDocuments(filter);
+    const { items: replies, pageInfo } = await findPage(
+      f => Comment.find(f),
+      filter,
+      args,
+      { defaultLimit: 5, total: totalReplies }
+    );
+    return { replies, totalReplies, pageInfo };
+  },
+
+  /* Comment on a post, or reply to one of its comments when `parentId` is given */
+  add: async function (context, { postId, content, parentId }) {
+    requireAuth(context);
+    await limit('comment', context);
+    requireContent(content, parentId ? 'Reply' : 'Comment');
+
+    const post = await Post.findById(postId);
+    if (!post) throw new NotFoundError('Post not found!');
+    await requirePostVisible(post, context);
+
+    const user = await User.findById(context.userId);
+    if (!user) throw new NotFoundError('User not found!');
+
+    const parentComment = parentId ? await Comment.findById(parentId) : null;
+    if (parentId && (!parentComment || parentComment.deletedAt)) throw new NotFoundError('Parent comment not found!');
+    if (parentComment && parentComment.post.toString() !== post._id.toString()) {
+      throw new ValidationError('Parent comment belongs to another post!');
+    }
+    if (parentComment) await requireNotBlocked(context, parentComment.creator);
+
+    const comment = new Comment({
+      content: content.trim(),
+      post: post._id,
+      creator: user._id,
+      ...threadPosition(parentComment),
+      tags: extractTags(content),
+      mentions: await resolveMentions(content)
+    });
+
+    await comment.save();
+    await notifyMentions({ mentions: comment.mentions, actor: user._id, post: post._id, comment: comment._id });
+
+    if (parentComment) {
+      await notify({ recipient: parentComment.creator, actor: user._id, type: 'reply', post: post._id, comment: parentComment._id });
+    } else {
+      await notify({ recipient: post.creator, actor: user._id, type: 'comment', post: post._id });
+    }
+
+    io.emitToPost(post._id, 'comments', {
+      action: comment.parentId ? 'reply' : 'create',
+      comment: await mapCommentData(comment, context)
+    }, await getBlockedIds(context));
+    return comment;
+  },
+
+  update: async function (context, commentId, content) {
+    requireAuth(context);
+    requireContent(content);
+    const comment = await findLiveComment(commentId);
+    requireOwnComment(comment, context);
+    return applyCommentEdit(comment, content.trim(), context);
+  },
+
+  remove: async function (context, commentId) {
+    requireAuth(context);
+    const comment = await findLiveComment(commentId);
+    requireOwnComment(comment, context);
+    await softDeleteComment(comment, context.userId);
+  },
+
+  restore: async function (context, commentId) {
+    requireAuth(context);
+    const comment = await Comment.findById(commentId);
+    if (!comment) throw new NotFoundError('Comment not found!');
+    await requireRestorable(comment, context, 'comment');
+    await requirePostVisible(comment.post, context);
+
+    comment.deletedAt = null;
+    comment.deletedBy = null;
+    await comment.save();
+
+    const payload = { action: 'restore', comment: await mapCommentData(comment, context) };
+    io.emitToPost(comment.post, 'comments', payload, await blockedIdsOf(comment.creator));
+    return comment;
+  },
+
+  revisions: async function (context, commentId) {
+    requireAuth(context);
+    const comment = await findLiveComment(commentId);
+    await requireHistoryAccess(comment, context);
+    return Revision.find({ targetType: 'comment', target: comment._id }).sort({ createdAt: -1 });
+  },
+
+  revert: async function (context, commentId, revisionId) {
+    requireAuth(context);
+    const comment = await findLiveComment(commentId);
+    requireOwnComment(comment, context);
+
+    const revision = await findRevision(revisionId, 'comment', comment._id);
+    return applyCommentEdit(comment, revision.content, context);
+  },
+
+  /* Like a comment. Liking twice is a no-op: only the request that actually
+     adds the like counts it, notifies and broadcasts. */
+  like: async function (context, commentId) {
+    requireAuth(context);
+    await limit('like', context);
+    const comment = await findLiveComment(commentId);
+    await requirePostVisible(comment.post, context);
+    await requireNotBlocked(context, comment.creator);
+
+    const liked = await Comment.findOneAndUpdate(
+      { _id: comment._id, deletedAt: null, likes: { $ne: context.userId } },
+      { $addToSet: { likes: context.userId }, $inc: { likesCount: 1 } },
+      { returnDocument: 'after' }
+    );
+    if (liked) {
+      await notify({ recipient: liked.creator, actor: context.userId, type: 'like_comment', post: liked.post, comment: liked._id });
+      io.emitToPost(liked.post, 'likes', {
+        action: 'like', postId: liked.post.toString(), commentId, userId: context.userId, likesCount: liked.likesCount
+      }, await getBlockedIds(context));
+    }
+    return liked || comment;
+  },
+
+  /* Unlike a comment; unliking one that is not liked is a no-op */
+  unlike: async function (context, commentId) {
+    requireAuth(context);
+    await limit('like', context);
+    const comment = await findLiveComment(commentId);
+
+    const unliked = await Comment.findOneAndUpdate(
+      { _id: comment._id, likes: context.userId },
+      { $pull: { likes: context.userId }, $inc: { likesCount: -1 } },
+      { returnDocument: 'after' }
+    );
+    if (unliked) {
+      await retract({ recipient: unliked.creator, actor: context.userId, type: 'like_comment', post: unliked.post, comment: unliked._id });
+      io.emitToPost(unliked.post, 'likes', {
+        action: 'unlike', postId: unliked.post.toString(), commentId, userId: context.userId, likesCount: unliked.likesCount
+      }, await getBlockedIds(context));
+    }
+    return unliked || comment;
+  }
+};
+
+module.exports = CommentService;
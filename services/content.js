@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const User = require('../models/user');
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const Revision = require('../models/revision');
+const { NotFoundError } = require('../util/errors');
+const { extractMentions } = require('../util/entities');
+const { notify, removeForTargets } = require('../util/notifications');
+const { withTransaction } = require('../util/transaction');
+const { CASE_INSENSITIVE } = require('../util/usernames');
+const io = require('../socket');
+const { canSeePost, postAudience, blockedIdsOf } = require('./access');
+
+// Helpers shared by the post and comment services, and by moderation
+
+const COMMENT_MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH, 10) || 10;
+
+/* ✅ Helper keeping live comments, plus deleted ones that still have live replies
+   below them (shown as "[deleted]"). `scope` is where to look for those replies. */
+async function liveThreadFilter(scope) {
+  const anchors = await Comment.distinct('ancestors', { ...scope, deletedAt: null });
+  return { $or: [{ deletedAt: null }, { _id: { $in: anchors } }] };
+}
+
+/* ✅ Helper to work out where a new comment sits in its thread.
+   Replies past the max depth are attached next to their parent instead. */
+function threadPosition(parent) {
+  if (!parent) return { parentId: null, ancestors: [], depth: 0 };
+  const parentDepth = parent.depth || 0;
+  if (parentDepth + 1 > COMMENT_MAX_DEPTH) {
+    return { parentId: parent.parentId, ancestors: parent.ancestors, depth: parentDepth };
+  }
+  return { parentId: parent._id, ancestors: [...(parent.ancestors || []), parent._id], depth: parentDepth + 1 };
+}
+
+/* ✅ Helper to resolve the @handles mentioned in `text` to user ids */
+async function resolveMentions(text) {
+  const handles = extractMentions(text);
+  if (handles.length === 0) return [];
+  // Old handles still reach the user who renamed
+  const users = await User.find({ $or: [{ username: { $in: handles } }, { previousUsernames: { $in: handles } }] })
+    .collation(CASE_INSENSITIVE)
+    .select('_id');
+  return users.map(u => u._id);
+}
+
+/* ✅ Helper to notify users who were not already mentioned before an edit.
+   Users who may not see the post are not told about it. */
+async function notifyMentions({ mentions, previousMentions = [], actor, post, comment = null }) {
+  const previous = new Set(previousMentions.map(id => id.toString()));
+  const recipients = mentions.filter(id => !previous.has(id.toString()));
+  if (recipients.length === 0) return;
+
+  const target = await Post.findById(post).select('creator hidden deletedAt');
+  await Promise.all(recipients.map(async id => {
+    if (!(await canSeePost(target, { isAuth: true, userId: id }))) return;
+    await notify({ recipient: id, actor, type: 'mention', post, comment });
+  }));
+}
+
+/* ✅ Helper to tell everyone who may see `post` about a change to it. Who that is
+   gets worked out once per event; failures are logged, never thrown at the caller. */
+function emitPostEvent(post, payload) {
+  return postAudience(post)
+    .then(audience => io.emitToAudience(audience, 'posts', payload))
+    .catch(err => console.error('Error delivering socket event:', err));
+}
+
+/* ✅ Helper to soft-delete a post. Its image stays until the purge job runs. */
+async function softDeletePost(post, deletedBy) {
+  post.deletedAt = new Date();
+  post.deletedBy = deletedBy._id || deletedBy;
+  await withTransaction(async session => {
+    await post.save({ session });
+    await User.updateOne({ _id: post.creator }, { $pull: { posts: post._id } }, { session });
+  });
+  await removeForTargets({ posts: [post._id] });
+  // Only those who could see the post hear that it is gone
+  emitPostEvent(post, { action: 'delete', postId: post._id.toString() });
+}
+
+/* ✅ Helper to soft-delete a single comment; its replies are left in place */
+async function softDeleteComment(comment, deletedBy) {
+  comment.deletedAt = new Date();
+  comment.deletedBy = deletedBy._id || deletedBy;
+  await comment.save();
+  await removeForTargets({ comments: [comment._id] });
+  const payload = { action: 'delete', commentId: comment._id.toString() };
+  io.emitToPost(comment.post, 'comments', payload, await blockedIdsOf(comment.creator));
+}
+
+/* ✅ Helper to find a revision belonging to the given post or comment */
+async function findRevision(revisionId, targetType, targetId) {
+  const revision = mongoose.isValidObjectId(revisionId)
+    ? await Revision.findOne({ _id: revisionId, targetType, target: targetId })
+    : null;
+  if (!revision) {
+    throw new NotFoundError('Revision not found!');
+  }
+  return revision;
+}
+
+module.exports = {
+  COMMENT_MAX_DEPTH,
+  liveThreadFilter,
+  threadPosition,
+  resolveMentions,
+  notifyMentions,
+  emitPostEvent,
+  softDeletePost,
+  softDeleteComment,
+  findRevision
+};
@@ -0,0 +1,166 @@
+const User = require('../models/user');
+const { NotFoundError, ConflictError, ValidationError } = require('../util/errors');
+const { USER_SUMMARY_FIELDS } = require('../util/loaders');
+const { notify, retract } = require('../util/notifications');
+const { withTransaction } = require('../util/transaction');
+const { requireAuth, getViewer, requireNotBlocked, requireListAccess } = require('./access');
+
+/* ✅ Helper to load one of a user's follow lists, if its owner lets the viewer see it */
+async function findFollowList(context, userId, list) {
+  requireAuth(context);
+  const user = await User.findById(userId).populate(list, USER_SUMMARY_FIELDS);
+  if (!user) throw new NotFoundError('User not found!');
+  await requireListAccess(context, user);
+  return user[list] || [];
+}
+
+/* Follows and follow requests. Every method takes the request context first
+   and returns documents or plain values; mapping them is up to the caller. */
+const FollowService = {
+  followers: async function (context, userId) {
+    return findFollowList(context, userId, 'followers');
+  },
+
+  following: async function (context, userId) {
+    return findFollowList(context, userId, 'following');
+  },
+
+  requests: async function (context) {
+    requireAuth(context);
+    const user = await User.findById(context.userId).populate('followRequests', USER_SUMMARY_FIELDS);
+    if (!user) throw new NotFoundError('User not found!');
+    return user.followRequests.filter(Boolean);
+  },
+
+  /* Follow a user; private accounts get a follow request instead.
+     Resolves to where the caller now stands: 'following' or 'requested'. */
+  follow: async function (context, userId) {
+    requireAuth(context);
+    if (context.userId === userId) throw new ValidationError('You cannot follow yourself!');
+    await requireNotBlocked(context, userId);
+
+    const currentUser = await getViewer(context);
+    const targetUser = await User.findById(userId).select('isPrivate');
+
+    if (!currentUser || !targetUser) throw new NotFoundError('User not found!');
+
+    if (currentUser.following.some(id => id.toString() === targetUser._id.toString())) {
+      throw new ConflictError('Already following this user!');
+    }
+
+    if (targetUser.isPrivate) {
+      // Private accounts get a request instead; the edge is only added on approval
+      const result = await User.updateOne(
+        { _id: targetUser._id, followers: { $ne: currentUser._id }, followRequests: { $ne: currentUser._id } },
+        { $addToSet: { followRequests: currentUser._id } }
+      );
+      if (result.modifiedCount === 0) throw new ConflictError('Follow request already sent!');
+
+      await notify({ recipient: targetUser._id, actor: currentUser._id, type: 'follow_request' });
+      return 'requested';
+    }
+
+    // Both sides of the edge are written together; the filter makes a
+    // concurrent duplicate follow fail instead of notifying twice
+    await withTransaction(async session => {
+      const result = await User.updateOne(
+        { _id: currentUser._id, following: { $ne: targetUser._id } },
+        { $addToSet: { following: targetUser._id } },
+        { session }
+      );
+      if (result.modifiedCount === 0) throw new ConflictError('Already following this user!');
+      await User.updateOne({ _id: targetUser._id }, { $addToSet: { followers: currentUser._id } }, { session });
+    });
+
+    await notify({ recipient: targetUser._id, actor: currentUser._id, type: 'follow' });
+    return 'following';
+  },
+
+  /* Unfollow a user, or withdraw a pending follow request. Resolves to 'none'. */
+  unfollow: async function (context, userId) {
+    requireAuth(context);
+    if (context.userId === userId) throw new ValidationError('You cannot unfollow yourself!');
+
+    const [currentUser, targetUser] = await Promise.all([User.exists({ _id: context.userId }), User.exists({ _id: userId })]);
+    if (!currentUser || !targetUser) throw new NotFoundError('User not found!');
+
+    // Remove both sides of the edge, cancelling any pending request too
+    await withTransaction(async session => {
+      await User.updateOne({ _id: currentUser._id }, { $pull: { following: targetUser._id } }, { session });
+      await User.updateOne(
+        { _id: targetUser._id },
+        { $pull: { followers: currentUser._id, followRequests: currentUser._id } },
+        { session }
+      );
+    });
+
+    await retract({ recipient: targetUser._id, actor: currentUser._id, type: 'follow' });
+    await retract({ recipient: targetUser._id, actor: currentUser._id, type: 'follow_request' });
+    return 'none';
+  },
+
+  /* Resolves to the user whose request was approved */
+  approveRequest: async function (context, userId) {
+    requireAuth(context);
+    const requester = await User.exists({ _id: userId });
+
+    await withTransaction(async session => {
+      // A request from an account deleted in the meantime is just dropped
+      const result = await User.updateOne(
+        { _id: context.userId, followRequests: userId },
+        requester
+          ? { $pull: { followRequests: userId }, $addToSet: { followers: userId } }
+          : { $pull: { followRequests: userId } },
+        { session }
+      );
+      if (result.matchedCount === 0) throw new NotFoundError('No pending follow request from this user!');
+      if (requester) await User.updateOne({ _id: userId }, { $addToSet: { following: context.userId } }, { session });
+    });
+
+    await retract({ recipient: context.userId, actor: userId, type: 'follow_request' });
+    if (!requester) throw new NotFoundError('User not found!');
+    await notify({ recipient: userId, actor: context.userId, type: 'follow_accepted' });
+
+    return User.findById(userId);
+  },
+
+  rejectRequest: async function (context, userId) {
+    requireAuth(context);
+    const result = await User.updateOne({ _id: context.userId, followRequests: userId }, { $pull: { followRequests: userId } });
+    if (result.matchedCount === 0) throw new NotFoundError('No pending follow request from this user!');
+    await retract({ recipient: context.userId, actor: userId, type: 'follow_request' });
+  },
+
+  /* Block a user. Every follow edge and pending request between the two accounts is cut
+     with the block, in one transaction. */
+  block: async function (context, userId) {
+    requireAuth(context);
+    if (context.userId === userId) throw new ValidationError('You cannot block yourself!');
+    const [currentUser, targetUser] = await Promise.all([User.exists({ _id: context.userId }), User.exists({ _id: userId })]);
+    if (!currentUser || !targetUser) throw new NotFoundError('User not found!');
+
+    const cutEdges = other => ({ $pull: { followers: other, following: other, followRequests: other } });
+    await withTransaction(async session => {
+      await User.updateOne(
+        { _id: currentUser._id },
+        { ...cutEdges(targetUser._id), $addToSet: { blocked: targetUser._id } },
+        { session }
+      );
+      await User.updateOne({ _id: targetUser._id }, cutEdges(currentUser._id), { session });
+    });
+
+    await retract({ recipient: currentUser._id, actor: targetUser._id, type: 'follow' });
+    await retract({ recipient: currentUser._id, actor: targetUser._id, type: 'follow_request' });
+  },
+
+  removeFollower: async function (context, userId) {
+    requireAuth(context);
+    await withTransaction(async session => {
+      const result = await User.updateOne({ _id: context.userId, followers: userId }, { $pull: { followers: userId } }, { session });
+      if (result.matchedCount === 0) throw new NotFoundError('This user is not following you!');
+      await User.updateOne({ _id: userId }, { $pull: { following: context.userId } }, { session });
+    });
+  }
+};
+
+module.exports = FollowService;
@@ -0,0 +1,8 @@
+// Business rules shared by the GraphQL resolvers and the REST controllers:
+// authorization, validation and persistence live here, transports only map.
+module.exports = {
+  UserService: require('./user-service'),
+  PostService: require('./post-service'),
+  CommentService: require('./comment-service'),
+  FollowService: require('./follow-service')
+};
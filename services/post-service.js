@@ -0,0 +1,390 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+const User = require('../models/user');
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const Revision = require('../models/revision');
+const { NotFoundError, ForbiddenError, UnauthenticatedError, ValidationError, assertValid } = require('../util/errors');
+const { extractTags } = require('../util/entities');
+const { canUseImage } = require('../util/images');
+const { notify, retract } = require('../util/notifications');
+const { USER_SUMMARY_FIELDS } = require('../util/loaders');
+const {
+  encodeCursor, decodeCursor, afterCursorFilter, encodeIdCursor, decodeIdCursor, clampLimit, buildPageInfo, paginate, findPage
+} = require('../util/pagination');
+const { limit } = require('../util/rate-limit');
+const { recordRevision } = require('../util/revisions');
+const { withTransaction } = require('../util/transaction');
+const io = require('../socket');
+const { mapPostData } = require('../graphql/mappers');
+const {
+  requireAuth, getBlockedIds, visiblePostFilter, requirePostVisible, requireHistoryAccess, requireRestorable
+} = require('./access');
+const { resolveMentions, notifyMentions, emitPostEvent, softDeletePost, findRevision } = require('./content');
+
+/* ✅ Helper listing what is wrong with a post's title, content and image.
+   A new image must be the caller's own upload or a remote URL. */
+async function postInputErrors(postInput, context, currentImageUrl = '') {
+  const errors = [];
+  if (!postInput.title || !validator.isLength(postInput.title, { min: 5 })) errors.push({ field: 'title', message: 'Title is invalid.' });
+  if (!postInput.content || !validator.isLength(postInput.content, { min: 5 })) errors.push({ field: 'content', message: 'Content is invalid.' });
+  if ((postInput.imageUrl || '') !== (currentImageUrl || '') && !(await canUseImage(postInput.imageUrl, context.userId))) {
+    errors.push({ field: 'imageUrl', message: 'Image is invalid.' });
+  }
+  return errors;
+}
+
+/* ✅ Helper to load a live post, or fail the way every post mutation does */
+async function findLivePost(id) {
+  const post = await Post.findById(id);
+  if (!post || post.deletedAt) throw new NotFoundError('No post found!');
+  return post;
+}
+
+/* ✅ Helper to refuse changes to somebody else's post */
+function requireOwnPost(post, context) {
+  if (!post.creator || post.creator.toString() !== context.userId.toString()) {
+    throw new ForbiddenError();
+  }
+}
+
+/* ✅ Helper to apply an edit to a post, keeping what it replaces as a revision.
+   Replaced images are kept on disk for the revision and cleared when the post is purged. */
+async function applyPostEdit(post, { title, content, imageUrl }, context) {
+  const unchanged = title === post.title && content === post.content && (imageUrl || '') === (post.imageUrl || '');
+  if (!unchanged) await recordRevision('post', post, context.userId);
+
+  const previousMentions = [...post.mentions];
+  const text = `${title}\n${content}`;
+  post.title = title;
+  post.content = content;
+  post.imageUrl = imageUrl || '';
+  post.tags = extractTags(text);
+  post.mentions = await resolveMentions(text);
+  if (!unchanged) post.editedAt = new Date();
+
+  const updatedPost = await post.save();
+  await notifyMentions({ mentions: updatedPost.mentions, previousMentions, actor: context.userId, post: updatedPost._id });
+  const payload = { action: 'update', post: await mapPostData(updatedPost, context) };
+  emitPostEvent(updatedPost, payload);
+  return updatedPost;
+}
+
+const DISCOVER_WINDOW_DAYS = parseInt(process.env.DISCOVER_WINDOW_DAYS, 10) || 7;
+
+/* ✅ Helper to rank recent posts for users without a follow graph.
+   Likes carry no timestamp, so "recent" means engagement on posts from the
+   discover window; comments made inside the window count double. */
+async function getDiscoverPosts(context, count, cursor) {
+  const since = new Date(Date.now() - DISCOVER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const visibility = await visiblePostFilter(context, { excludeMuted: true });
+
+  const pipeline = [
+    {
+      $match: {
+        $and: [
+          { createdAt: { $gte: since }, creator: { $ne: new mongoose.Types.ObjectId(context.userId) } },
+          visibility
+        ]
+      }
+    },
+    {
+      $lookup: {
+        from: Comment.collection.name,
+        let: { postId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$post', '$$postId'] }, createdAt: { $gte: since } } },
+          { $count: 'count' }
+        ],
+        as: 'recentComments'
+      }
+    },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            { $ifNull: ['$likesCount', { $size: { $ifNull: ['$likes', []] } }] },
+            { $multiply: [2, { $ifNull: [{ $arrayElemAt: ['$recentComments.count', 0] }, 0] }] }
+          ]
+        }
+      }
+    }
+  ];
+
+  if (cursor) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { score: { $lt: cursor.s } },
+          { score: cursor.s, ...afterCursorFilter(cursor) }
+        ]
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { score: -1, createdAt: -1, _id: -1 } },
+    { $limit: count + 1 },
+    { $project: { recentComments: 0 } }
+  );
+
+  return Post.aggregate(pipeline);
+}
+
+/* Posts, their edit history, likes and saves. Every method takes the request
+   context first and returns documents; mapping them is up to the caller. */
+const PostService = {
+  /* Every post the viewer may see, newest first, a page at a time */
+  list: async function (context, args) {
+    requireAuth(context);
+    const visibility = await visiblePostFilter(context, { excludeMuted: true });
+    const totalPosts = await Post.countDocuments(visibility);
+    const { items: posts, pageInfo } = await findPage(
+      filter => Post.find(filter),
+      visibility,
+      args,
+      { defaultLimit: 5, total: totalPosts }
+    );
+    return { posts, totalPosts, pageInfo };
+  },
+
+  /* The home feed: posts of followed users, or ranked discover posts for users
+     who follow nobody yet or ask for them with mode 'discover' */
+  feed: async function (context, { first, after, mode }) {
+    requireAuth(context);
+    const user = await User.findById(context.userId).select('following');
+    if (!user) throw new NotFoundError('User not found!');
+
+    const pageSize = clampLimit(first);
+    const cursor = after ? decodeCursor(after) : null;
+    const feedMode = mode === 'discover' || (mode !== 'following' && user.following.length === 0)
+      ? 'discover'
+      : 'following';
+
+    if (cursor && feedMode === 'discover' && typeof cursor.s !== 'number') {
+      throw new ValidationError('Invalid cursor.');
+    }
+
+    if (feedMode === 'following') {
+      const visibility = await visiblePostFilter(context, { excludeMuted: true });
+      const { items: posts, pageInfo } = await paginate(
+        (cursorFilter, sort, pageLimit) => Post.find({
+          ...visibility,
+          creator: { ...visibility.creator, $in: [...user.following, user._id] },
+          ...cursorFilter
+        })
+          .sort(sort)
+          .limit(pageLimit),
+        { first: pageSize, after }
+      );
+      return { mode: feedMode, posts, pageInfo };
+    }
+
+    const posts = await getDiscoverPosts(context, pageSize, cursor);
+    const page = posts.slice(0, pageSize);
+    return {
+      mode: feedMode,
+      posts: page,
+      pageInfo: buildPageInfo(
+        page,
+        { hasNextPage: posts.length > pageSize, hasPreviousPage: !!cursor },
+        p => encodeCursor(p, { s: p.score })
+      )
+    };
+  },
+
+  get: async function (context, id) {
+    requireAuth(context);
+    const post = await Post.findById(id);
+    if (!post) throw new NotFoundError('No post found!');
+    await requirePostVisible(post, context);
+    return post;
+  },
+
+  create: async function (context, postInput) {
+    requireAuth(context);
+    await limit('createPost', context);
+    assertValid(await postInputErrors(postInput, context));
+
+    const user = await User.findById(context.userId).select('_id');
+    if (!user) throw new UnauthenticatedError('Invalid user.');
+
+    const text = `${postInput.title}\n${postInput.content}`;
+    const post = new Post({
+      title: postInput.title,
+      content: postInput.content,
+      imageUrl: postInput.imageUrl || '',
+      creator: user._id,
+      tags: extractTags(text),
+      mentions: await resolveMentions(text)
+    });
+
+    // The post and its entry in the author's post list are written together
+    const createdPost = await withTransaction(async session => {
+      const saved = await post.save({ session });
+      await User.updateOne({ _id: user._id }, { $addToSet: { posts: saved._id } }, { session });
+      return saved;
+    });
+    await notifyMentions({ mentions: createdPost.mentions, actor: user._id, post: createdPost._id });
+
+    const payload = { action: 'create', post: await mapPostData(createdPost, context) };
+    emitPostEvent(createdPost, payload);
+    return createdPost;
+  },
+
+  update: async function (context, id, postInput) {
+    requireAuth(context);
+    const post = await findLivePost(id);
+    requireOwnPost(post, context);
+
+    const imageUrl = postInput.imageUrl !== 'undefined' ? postInput.imageUrl || '' : post.imageUrl;
+    assertValid(await postInputErrors({ ...postInput, imageUrl }, context, post.imageUrl));
+    return applyPostEdit(post, { title: postInput.title, content: postInput.content, imageUrl }, context);
+  },
+
+  remove: async function (context, id) {
+    requireAuth(context);
+    const post = await findLivePost(id);
+    requireOwnPost(post, context);
+    await softDeletePost(post, context.userId);
+  },
+
+  restore: async function (context, id) {
+    requireAuth(context);
+    const post = await Post.findById(id);
+    if (!post) throw new NotFoundError('No post found!');
+    await requireRestorable(post, context, 'post');
+
+    post.deletedAt = null;
+    post.deletedBy = null;
+    await withTransaction(async session => {
+      await post.save({ session });
+      await User.updateOne({ _id: post.creator }, { $addToSet: { posts: post._id } }, { session });
+    });
+
+    const payload = { action: 'restore', post: await mapPostData(post, context) };
+    emitPostEvent(post, payload);
+    return post;
+  },
+
+  revisions: async function (context, postId) {
+    requireAuth(context);
+    const post = await findLivePost(postId);
+    await requireHistoryAccess(post, context);
+    return Revision.find({ targetType: 'post', target: post._id }).sort({ createdAt: -1 });
+  },
+
+  revert: async function (context, postId, revisionId) {
+    requireAuth(context);
+    const post = await findLivePost(postId);
+    requireOwnPost(post, context);
+
+    const revision = await findRevision(revisionId, 'post', post._id);
+    return applyPostEdit(post, { title: revision.title, content: revision.content, imageUrl: revision.imageUrl }, context);
+  },
+
+  /* Like a post. Liking twice is a no-op: only the request that actually
+     adds the like counts it, notifies and broadcasts. */
+  like: async function (context, postId) {
+    requireAuth(context);
+    await limit('like', context);
+    const post = await Post.findById(postId).select('creator hidden deletedAt');
+    if (!post) throw new NotFoundError('Post not found!');
+    await requirePostVisible(post, context);
+
+    const userId = context.userId.toString();
+    const liked = await Post.findOneAndUpdate(
+      { _id: post._id, deletedAt: null, likes: { $ne: userId } },
+      { $addToSet: { likes: userId }, $inc: { likesCount: 1 } },
+      { returnDocument: 'after' }
+    );
+    if (liked) {
+      await notify({ recipient: liked.creator, actor: userId, type: 'like_post', post: liked._id });
+      const payload = { action: 'like', postId, userId, likesCount: liked.likesCount };
+      io.emitToPost(postId, 'likes', payload, await getBlockedIds(context));
+    }
+    return liked || Post.findById(post._id);
+  },
+
+  /* Unlike a post; unliking one that is not liked is a no-op */
+  unlike: async function (context, postId) {
+    requireAuth(context);
+    await limit('like', context);
+    const post = await Post.findById(postId).select('deletedAt');
+    if (!post || post.deletedAt) throw new NotFoundError('Post not found!');
+
+    const userId = context.userId.toString();
+    const unliked = await Post.findOneAndUpdate(
+      { _id: post._id, likes: userId },
+      { $pull: { likes: userId }, $inc: { likesCount: -1 } },
+      { returnDocument: 'after' }
+    );
+    if (unliked) {
+      await retract({ recipient: unliked.creator, actor: userId, type: 'like_post', post: unliked._id });
+      const payload = { action: 'unlike', postId, userId, likesCount: unliked.likesCount };
+      io.emitToPost(postId, 'likes', payload, await getBlockedIds(context));
+    }
+    return unliked || Post.findById(post._id);
+  },
+
+  /* One page of the users who liked a post, in a stable order (by user id) so
+     pages neither skip nor repeat anyone while others like and unlike */
+  likers: async function (context, postId, { cursor, limit: pageSize } = {}) {
+    requireAuth(context);
+    const post = await Post.findById(postId).select('creator hidden deletedAt');
+    if (!post) throw new NotFoundError('Post not found!');
+    await requirePostVisible(post, context);
+
+    // Page through the likes inside the database; the array itself never leaves it
+    const count = clampLimit(pageSize, 20);
+    const blocked = await getBlockedIds(context);
+    const after = cursor ? decodeIdCursor(cursor) : null;
+    const [page] = await Post.aggregate([
+      { $match: { _id: post._id } },
+      {
+        $project: {
+          likesCount: { $ifNull: ['$likesCount', { $size: { $ifNull: ['$likes', []] } }] },
+          likes: {
+            $filter: {
+              input: { $ifNull: ['$likes', []] },
+              as: 'id',
+              cond: { $and: [{ $not: [{ $in: ['$$id', blocked] }] }, after ? { $gt: ['$$id', after] } : true] }
+            }
+          }
+        }
+      },
+      { $unwind: { path: '$likes', preserveNullAndEmptyArrays: true } },
+      { $sort: { likes: 1 } },
+      { $limit: count + 1 },
+      { $group: { _id: '$_id', likesCount: { $first: '$likesCount' }, ids: { $push: '$likes' } } }
+    ]);
+
+    // A post without likes unwinds to one document with no id
+    const ids = page ? page.ids.filter(Boolean) : [];
+    const users = await User.find({ _id: { $in: ids.slice(0, count) } }).select(USER_SUMMARY_FIELDS).sort({ _id: 1 });
+    return {
+      users,
+      likesCount: page ? page.likesCount : 0,
+      pageInfo: buildPageInfo(users, { hasNextPage: ids.length > count, hasPreviousPage: !!cursor }, encodeIdCursor)
+    };
+  },
+
+  save: async function (context, postId) {
+    requireAuth(context);
+    const post = await Post.findById(postId);
+    if (!post || post.deletedAt) throw new NotFoundError('Post not found!');
+    await requirePostVisible(post, context);
+
+    const result = await User.updateOne({ _id: context.userId }, { $addToSet: { savedPosts: post._id } });
+    if (result.matchedCount === 0) throw new NotFoundError('User not found!');
+  },
+
+  unsave: async function (context, postId) {
+    requireAuth(context);
+    const result = await User.updateOne({ _id: context.userId }, { $pull: { savedPosts: postId } });
+    if (result.matchedCount === 0) throw new NotFoundError('User not found!');
+  }
+};
+
+module.exports = PostService;
@@ -0,0 +1,320 @@
+const bcrypt = require('bcryptjs');
+const validator = require('validator');
+
+const User = require('../models/user');
+const Post = require('../models/post');
+const { canUseImage, discardUpload } = require('../util/images');
+const {
+  UnauthenticatedError, ForbiddenError, NotFoundError, ConflictError, ValidationError, assertValid
+} = require('../util/errors');
+const { loadUsers } = require('../util/loaders');
+const { notify } = require('../util/notifications');
+const { limit, checkLoginLock, recordLoginFailure, clearLoginFailures } = require('../util/rate-limit');
+const {
+  issueTokens, rotateRefreshToken, revokeSession, revokeRefreshToken, revokeAllSessions, issueActionToken, consumeActionToken
+} = require('../util/token');
+const { sendMail, appLink } = require('../util/mail');
+const { withTransaction } = require('../util/transaction');
+const {
+  usernameErrors, resolveUsername, isUsernameTaken, suggestUsername, applyRename
+} = require('../util/usernames');
+const {
+  requireAuth, requireAdmin, getViewer, isBlockedWith, canSeePostsOf, hiddenContentFilter, visiblePostFilter
+} = require('./access');
+
+const EMAIL_VERIFICATION_TTL_SECONDS = 24 * 60 * 60;
+const PASSWORD_RESET_TTL_SECONDS = 60 * 60;
+
+/* ✅ Helper listing what is wrong with a new password */
+function passwordErrors(password, field = 'password') {
+  return !password || !validator.isLength(password, { min: 5 }) ? [{ field, message: 'Password too short!' }] : [];
+}
+
+/* ✅ Helper to load the saved posts of `user` that the viewer may see, in the order they were saved */
+async function findVisibleSavedPosts(context, user) {
+  if (user.savedPosts.length === 0) return [];
+  const posts = await Post.find({ ...(await visiblePostFilter(context)), _id: { $in: user.savedPosts } });
+  const byId = new Map(posts.map(p => [p._id.toString(), p]));
+  return user.savedPosts.map(id => byId.get(id.toString())).filter(Boolean);
+}
+
+/* ✅ Helper to mail a fresh email verification link */
+async function sendVerificationEmail(user) {
+  const token = await issueActionToken(user._id, 'verify_email', EMAIL_VERIFICATION_TTL_SECONDS);
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n`
+      + `${appLink('/verify-email', { token })}\n\nThe link expires in 24 hours.`
+  });
+}
+
+/* ✅ Helper to save a user whose username may have changed; two users racing
+   for the same handle hit the unique index and the loser gets a conflict */
+async function saveWithUsername(user, session = null) {
+  try {
+    return await user.save({ session });
+  } catch (err) {
+    if (err.code === 11000 && err.keyPattern && err.keyPattern.username) {
+      throw new ConflictError('Username is already taken.');
+    }
+    throw err;
+  }
+}
+
+/* Accounts and profiles. Every method takes the request context first and
+   returns documents; mapping them for a transport is up to the caller. */
+const UserService = {
+  create: async function (context, userInput) {
+    await limit('createUser', context);
+    const errors = [];
+    if (!validator.isEmail(userInput.email || '')) errors.push({ field: 'email', message: 'E-Mail is invalid.' });
+    errors.push(...passwordErrors(userInput.password));
+    if (!userInput.name || validator.isEmpty(userInput.name.trim())) errors.push({ field: 'name', message: 'Name is required.' });
+    if (userInput.username != null) errors.push(...usernameErrors(userInput.username));
+    assertValid(errors);
+
+    const existingUser = await User.findOne({ email: userInput.email });
+    if (existingUser) {
+      throw new ConflictError('User exists already!');
+    }
+    if (userInput.username != null && await isUsernameTaken(userInput.username)) {
+      throw new ConflictError('Username is already taken.');
+    }
+
+    const hashedPw = await bcrypt.hash(userInput.password, 12);
+
+    const user = new User({
+      email: userInput.email,
+      name: userInput.name,
+      username: userInput.username != null ? userInput.username : await suggestUsername(userInput),
+      password: hashedPw,
+      status: 'I am new!'
+    });
+
+    const createdUser = await saveWithUsername(user);
+    await sendVerificationEmail(createdUser);
+    return createdUser;
+  },
+
+  /* A profile with its posts, saved posts and follow lists, as far as the viewer may see them.
+     The lists are returned in full; gating them by the owner's privacy settings is left to mapping.
+     Across a block, whoever blocked sees the bare profile (to unblock) and the other side nothing. */
+  getProfile: async function (context, userId) {
+    requireAuth(context);
+    const user = await User.findById(userId).select('-password');
+    if (!user) throw new NotFoundError('User not found!');
+
+    if (await isBlockedWith(context, user._id)) {
+      const viewer = await getViewer(context);
+      if (!viewer.blocked.some(id => id.toString() === user._id.toString())) throw new NotFoundError('User not found!');
+      return { user, posts: [], savedPosts: [], followers: [], following: [] };
+    }
+
+    // Fetch posts directly to ensure we get all posts by this creator (more robust than user.posts array)
+    const [posts, savedPosts, followers, following] = await Promise.all([
+      canSeePostsOf(context, user).then(async visible => (visible
+        ? Post.find({ creator: user._id, deletedAt: null, ...(await hiddenContentFilter(context, user._id)) }).sort({ createdAt: -1 })
+        : [])),
+      findVisibleSavedPosts(context, user),
+      loadUsers(user.followers, context.loaders),
+      loadUsers(user.following, context.loaders)
+    ]);
+
+    return { user, posts, savedPosts, followers, following };
+  },
+
+  /* Old handles lead to the same profile; the returned username is the current one */
+  getProfileByUsername: async function (context, username) {
+    requireAuth(context);
+    const userId = await resolveUsername(username);
+    if (!userId) throw new NotFoundError('User not found!');
+    return UserService.getProfile(context, userId);
+  },
+
+  list: async function (context) {
+    await requireAdmin(context);
+    return User.find().select('-password');
+  },
+
+  update: async function (context, userInput) {
+    requireAuth(context);
+    const user = await User.findById(context.userId);
+    if (!user) throw new NotFoundError('User not found!');
+
+    if (userInput.name) user.name = userInput.name;
+    if (userInput.username != null && userInput.username !== user.username) {
+      assertValid(usernameErrors(userInput.username));
+      if (await isUsernameTaken(userInput.username, user._id)) throw new ConflictError('Username is already taken.');
+      applyRename(user, userInput.username);
+    }
+    if (userInput.bio !== undefined) user.bio = userInput.bio;
+    if (userInput.status) user.status = userInput.status;
+    const previousAvatar = user.avatar;
+    if (userInput.avatar !== undefined && userInput.avatar !== user.avatar) {
+      if (!(await canUseImage(userInput.avatar, user._id))) assertValid([{ field: 'avatar', message: 'Avatar is invalid.' }]);
+      user.avatar = userInput.avatar;
+    }
+
+    // Going public lets everyone who was waiting in
+    const approvedRequests = userInput.isPrivate === false ? [...user.followRequests] : [];
+    if (typeof userInput.isPrivate === 'boolean') user.isPrivate = userInput.isPrivate;
+    if (approvedRequests.length > 0) {
+      user.followers.addToSet(...approvedRequests);
+      user.followRequests = [];
+    }
+
+    // Approved requesters follow back in the same transaction as the new followers list
+    await withTransaction(async session => {
+      await saveWithUsername(user, session);
+      if (approvedRequests.length > 0) {
+        await User.updateMany({ _id: { $in: approvedRequests } }, { $addToSet: { following: user._id } }, { session });
+      }
+    });
+    if (approvedRequests.length > 0) {
+      await Promise.all(approvedRequests.map(id => notify({ recipient: id, actor: user._id, type: 'follow_accepted' })));
+    }
+    // A replaced avatar the user uploaded is no longer shown anywhere
+    if (previousAvatar && previousAvatar !== user.avatar) await discardUpload(previousAvatar, user._id);
+    return user;
+  },
+
+  updateStatus: async function (context, status) {
+    requireAuth(context);
+    if (typeof status !== 'string') assertValid([{ field: 'status', message: 'Status is required.' }]);
+    const user = await User.findById(context.userId);
+    if (!user) throw new NotFoundError('No user found!');
+    user.status = status;
+    await user.save();
+    return user;
+  },
+
+  isUsernameAvailable: async function (context, username) {
+    assertValid(usernameErrors(username));
+    // The caller's own current and old handles count as available to them
+    return !(await isUsernameTaken(username, context?.isAuth ? context.userId : null));
+  },
+
+  requestEmailVerification: async function (context) {
+    requireAuth(context);
+    await limit('mail', context);
+    const user = await User.findById(context.userId);
+    if (!user) throw new NotFoundError('User not found!');
+    if (user.emailVerified) throw new ConflictError('Email is already verified.');
+
+    await sendVerificationEmail(user);
+  },
+
+  verifyEmail: async function (context, token) {
+    const userId = await consumeActionToken(token, 'verify_email');
+    const result = await User.updateOne(
+      { _id: userId },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) throw new NotFoundError('User not found!');
+  },
+
+  requestPasswordReset: async function (context, email) {
+    await limit('mail', context);
+    await limit('mail', { userId: `email:${(email || '').toLowerCase()}` });
+
+    // Answer the same whether or not the address is registered, so the
+    // mutation cannot be used to find out who has an account.
+    const user = validator.isEmail(email || '') ? await User.findOne({ email }) : null;
+    if (user && !user.suspended) {
+      const token = await issueActionToken(user._id, 'reset_password', PASSWORD_RESET_TTL_SECONDS);
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. `
+          + `If it was you, choose a new password here:\n${appLink('/reset-password', { token })}\n\n`
+          + 'The link expires in 1 hour. If you did not ask for this, you can ignore this email.'
+      });
+    }
+  },
+
+  resetPassword: async function (context, token, password) {
+    assertValid(passwordErrors(password));
+    const userId = await consumeActionToken(token, 'reset_password');
+    const user = await User.findById(userId);
+    if (!user) throw new NotFoundError('User not found!');
+
+    user.password = await bcrypt.hash(password, 12);
+    // Whoever can read the mailbox has proved they own the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user._id);
+    await clearLoginFailures(user.email, context.ip);
+  },
+
+  changePassword: async function (context, currentPassword, newPassword) {
+    requireAuth(context);
+    const user = await User.findById(context.userId);
+    if (!user) throw new NotFoundError('User not found!');
+
+    const isEqual = await bcrypt.compare(currentPassword || '', user.password);
+    if (!isEqual) {
+      throw new ValidationError('Invalid input.', [{ field: 'currentPassword', message: 'Password is incorrect.' }]);
+    }
+    assertValid(passwordErrors(newPassword, 'newPassword'));
+
+    user.password = await bcrypt.hash(newPassword, 12);
+    await user.save();
+    // Sign out everywhere else; this session stays logged in
+    await revokeAllSessions(user._id, context.sessionId);
+  },
+
+  /* Exchange an email and password for an access and refresh token pair */
+  login: async function (context, email, password) {
+    const errors = [];
+    if (!email) errors.push({ field: 'email', message: 'E-Mail is required.' });
+    if (!password) errors.push({ field: 'password', message: 'Password is required.' });
+    assertValid(errors);
+
+    await limit('login', context);
+    await checkLoginLock(email, context.ip);
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      await recordLoginFailure(email, context.ip);
+      throw new UnauthenticatedError('User not found.');
+    }
+
+    const isEqual = await bcrypt.compare(password, user.password);
+    if (!isEqual) {
+      await recordLoginFailure(email, context.ip);
+      throw new UnauthenticatedError('Password is incorrect.');
+    }
+    await clearLoginFailures(email, context.ip);
+
+    if (user.suspended) {
+      throw new ForbiddenError('This account has been suspended.');
+    }
+
+    return issueTokens(user);
+  },
+
+  /* Trade a refresh token for a new pair; the old refresh token stops working */
+  refresh: async function (context, refreshToken) {
+    return rotateRefreshToken(refreshToken, id => User.findById(id));
+  },
+
+  /* End the session a refresh token belongs to, or else the caller's own.
+     Resolves to whether a session was ended. */
+  logout: async function (context, refreshToken) {
+    if (refreshToken) return revokeRefreshToken(refreshToken);
+    requireAuth(context);
+    await revokeSession(context.sessionId);
+    return true;
+  },
+
+  logoutAll: async function (context) {
+    requireAuth(context);
+    await revokeAllSessions(context.userId);
+  }
+};
+
+module.exports = UserService;
@@ -0,0 +1,94 @@
+const socketIo = require('socket.io');
+
+const { verifyAccessToken } = require('./util/token');
+
+let io;
+
+const postRoom = postId => `post:${postId}`;
+const userRoom = userId => `user:${userId}`;
+
+// Clients authenticate with the same access token they send to /graphql, either as
+// `?token=...` in the handshake query or as a `Bearer` Authorization header.
+const getHandshakeToken = socket => {
+  const { query, headers } = socket.handshake;
+  if (query && query.token) return query.token;
+  const authHeader = headers && headers.authorization;
+  return authHeader ? authHeader.split(' ')[1] : null;
+};
+
+// A connected user as the services see them, built fresh for every check so
+// follows and blocks made since the connection opened are taken into account.
+const socketContext = userId => ({ isAuth: true, userId });
+
+module.exports = {
+  /* `canJoinPost(postId, context)` decides who may follow a post's comments and likes live */
+  init: (httpServer, { canJoinPost }) => {
+    io = socketIo(httpServer);
+
+    io.use((socket, next) => {
+      const token = getHandshakeToken(socket);
+      if (!token) return next(new Error('Not authenticated!'));
+      verifyAccessToken(token)
+        .then(decodedToken => {
+          socket.userId = decodedToken.userId;
+          next();
+        })
+        .catch(() => next(new Error('Not authenticated!')));
+    });
+
+    io.on('connection', socket => {
+      socket.join(userRoom(socket.userId));
+      socket.on('joinPost', (postId, ack) => {
+        if (!postId) return;
+        canJoinPost(postId, socketContext(socket.userId))
+          .catch(() => false)
+          .then(allowed => {
+            if (allowed) socket.join(postRoom(postId));
+            if (typeof ack === 'function') ack({ joined: allowed });
+          });
+      });
+      socket.on('leavePost', postId => {
+        if (postId) socket.leave(postRoom(postId));
+      });
+    });
+
+    return io;
+  },
+
+  getIO: () => {
+    if (!io) throw new Error('Socket.io not initialized!');
+    return io;
+  },
+
+  /* Events for a post's audience as worked out by `postAudience`: either only
+     the `users` listed, or every connected user except those in `except` */
+  emitToAudience: ({ users, except = [] }, event, payload) => {
+    if (!io) return;
+    if (users) {
+      new Set(users.map(id => id.toString())).forEach(userId => io.to(userRoom(userId)).emit(event, payload));
+      return;
+    }
+    const excluded = new Set(except.map(id => id.toString()));
+    Object.values(io.sockets.connected).forEach(socket => {
+      if (!excluded.has(socket.userId)) socket.emit(event, payload);
+    });
+  },
+
+  /* Events for everyone viewing a single post: comments, replies and likes. Users in
+     `except`, i.e. those on either side of a block with whoever acted, are left out. */
+  emitToPost: (postId, event, payload, except = []) => {
+    if (!io) return;
+    const room = io.sockets.adapter.rooms[postRoom(postId)];
+    if (!room) return;
+    const excluded = new Set(except.map(id => id.toString()));
+    Object.keys(room.sockets).forEach(socketId => {
+      const socket = io.sockets.connected[socketId];
+      if (socket && !excluded.has(socket.userId)) socket.emit(event, payload);
+    });
+  },
+
+  /* Events for every open connection of a single user, e.g. notifications */
+  emitToUser: (userId, event, payload) => {
+    if (io) io.to(userRoom(userId)).emit(event, payload);
+  }
+};
@@ -0,0 +1,44 @@
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError } = require('../util/errors');
+
+// Services talk to mongoose models; tests stub the model methods they reach
+// so no database is needed. `query(result)` stands in for a mongoose Query:
+// it chains like one and resolves to `result` when awaited.
+
+const CHAINABLE = ['select', 'populate', 'sort', 'limit', 'skip', 'lean', 'session'];
+
+const query = result => {
+  const q = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: reject => Promise.resolve(result).catch(reject)
+  };
+  CHAINABLE.forEach(name => { q[name] = () => q; });
+  q.distinct = () => query(Array.isArray(result) ? result : []);
+  return q;
+};
+
+/* Make `Model.method` answer every call with `query(result)`; undone by mock.restoreAll() */
+const stub = (Model, method, result) => mock.method(Model, method, () => query(result));
+
+/* A context as createContext builds it for a signed-in user. `viewer` and
+   `blockedIds` prefill what the access helpers would otherwise load. */
+const authContext = (userId, { viewer, blockedIds } = {}) => ({
+  isAuth: true,
+  userId,
+  ip: '127.0.0.1',
+  loaders: {},
+  ...(viewer && { viewer: Promise.resolve({ _id: userId, role: 'user', following: [], blocked: [], muted: [], ...viewer }) }),
+  ...(blockedIds && { blockedIds: Promise.resolve(blockedIds) })
+});
+
+const anonymous = () => ({ isAuth: false, ip: '127.0.0.1', loaders: {} });
+
+/* Matcher for assert.rejects: a ValidationError naming exactly `fields` */
+const invalid = fields => err => {
+  assert.ok(err instanceof ValidationError, `expected a ValidationError, got ${err}`);
+  assert.deepEqual(err.data.map(f => f.field), fields);
+  return true;
+};
+
+module.exports = { query, stub, authContext, anonymous, invalid };
@@ -0,0 +1,39 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../models/user');
+const { postAudience } = require('../../services/access');
+const { query } = require('../helpers');
+
+const ALICE = '5f0000000000000000000001';
+const BOB = '5f0000000000000000000002';
+const CAROL = '5f0000000000000000000003';
+const DAVE = '5f0000000000000000000004';
+const ADMIN = '5f0000000000000000000009';
+
+/* Alice blocked Carol; Dave blocked Alice; the admin is the only admin */
+const stubUsers = alice => {
+  mock.method(User, 'findById', () => query({ _id: ALICE, blocked: [CAROL], ...alice }));
+  mock.method(User, 'find', filter => query(filter.role === 'admin' ? [ADMIN] : [DAVE]));
+};
+
+describe('postAudience', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('sends public posts to everyone but users on either side of a block', async () => {
+    stubUsers({ isPrivate: false, followers: [BOB] });
+    const audience = await postAudience({ creator: ALICE, hidden: false });
+    assert.deepEqual(audience, { except: [CAROL, DAVE] });
+  });
+
+  it('sends private posts to the creator, unblocked followers and admins', async () => {
+    stubUsers({ isPrivate: true, followers: [BOB, CAROL] });
+    const audience = await postAudience({ creator: ALICE, hidden: false });
+    assert.deepEqual(audience, { users: [ALICE, BOB, ADMIN] });
+  });
+
+  it('sends hidden posts to the creator and admins only', async () => {
+    stubUsers({ isPrivate: false, followers: [BOB] });
+    const audience = await postAudience({ creator: ALICE, hidden: true });
+    assert.deepEqual(audience, { users: [ALICE, ADMIN] });
+  });
+});
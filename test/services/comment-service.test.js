@@ -0,0 +1,92 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Comment = require('../../models/comment');
+const Notification = require('../../models/notification');
+const Post = require('../../models/post');
+const User = require('../../models/user');
+const CommentService = require('../../services/comment-service');
+const io = require('../../socket');
+const { UnauthenticatedError, ForbiddenError, NotFoundError, ValidationError } = require('../../util/errors');
+const { stub, authContext, anonymous, invalid } = require('../helpers');
+
+const ALICE = '5f0000000000000000000001';
+const BOB = '5f0000000000000000000002';
+const POST_ID = '5f00000000000000000000a1';
+const OTHER_POST_ID = '5f00000000000000000000a2';
+const CAROL = '5f0000000000000000000003';
+const COMMENT_ID = '5f00000000000000000000c1';
+
+describe('CommentService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses anonymous callers', async () => {
+    await assert.rejects(CommentService.list(anonymous(), POST_ID, {}), UnauthenticatedError);
+    await assert.rejects(CommentService.replies(anonymous(), COMMENT_ID, {}), UnauthenticatedError);
+    await assert.rejects(CommentService.add(anonymous(), { postId: POST_ID, content: 'Hi' }), UnauthenticatedError);
+    await assert.rejects(CommentService.update(anonymous(), COMMENT_ID, 'Hi'), UnauthenticatedError);
+    await assert.rejects(CommentService.remove(anonymous(), COMMENT_ID), UnauthenticatedError);
+  });
+
+  describe('add', () => {
+    it('rejects empty content', async () => {
+      await assert.rejects(CommentService.add(authContext(ALICE), { postId: POST_ID, content: '   ' }), invalid(['content']));
+      await assert.rejects(CommentService.add(authContext(ALICE), { postId: POST_ID }), invalid(['content']));
+    });
+
+    it('reports a missing post', async () => {
+      stub(Post, 'findById', null);
+      await assert.rejects(CommentService.add(authContext(ALICE), { postId: POST_ID, content: 'Hi' }), NotFoundError);
+    });
+
+    it('refuses a post hidden from the viewer', async () => {
+      stub(Post, 'findById', { _id: POST_ID, creator: BOB, hidden: true, deletedAt: null });
+      const context = authContext(ALICE, { viewer: {}, blockedIds: [] });
+      await assert.rejects(CommentService.add(context, { postId: POST_ID, content: 'Hi' }), NotFoundError);
+    });
+
+    it('refuses a reply to a comment on another post', async () => {
+      stub(Post, 'findById', { _id: POST_ID, creator: ALICE, deletedAt: null });
+      stub(User, 'findById', { _id: ALICE });
+      stub(Comment, 'findById', { _id: COMMENT_ID, post: OTHER_POST_ID, creator: BOB, deletedAt: null });
+      const context = authContext(ALICE, { viewer: {}, blockedIds: [] });
+      await assert.rejects(
+        CommentService.add(context, { postId: POST_ID, content: 'Hi', parentId: COMMENT_ID }),
+        ValidationError
+      );
+    });
+  });
+
+  describe('update', () => {
+    it('rejects empty content', async () => {
+      await assert.rejects(CommentService.update(authContext(ALICE), COMMENT_ID, ''), invalid(['content']));
+    });
+
+    it('refuses to edit somebody else\'s comment', async () => {
+      stub(Comment, 'findById', { _id: COMMENT_ID, post: POST_ID, creator: BOB, deletedAt: null });
+      await assert.rejects(CommentService.update(authContext(ALICE), COMMENT_ID, 'Edited'), ForbiddenError);
+    });
+  });
+
+  describe('remove', () => {
+    it('reports a deleted comment as missing', async () => {
+      stub(Comment, 'findById', { _id: COMMENT_ID, post: POST_ID, creator: ALICE, deletedAt: new Date() });
+      await assert.rejects(CommentService.remove(authContext(ALICE), COMMENT_ID), NotFoundError);
+    });
+  });
+
+  describe('like', () => {
+    it('keeps the event from users on either side of a block with the liker', async () => {
+      stub(Comment, 'findById', { _id: COMMENT_ID, post: POST_ID, creator: BOB, deletedAt: null });
+      stub(Post, 'findById', { _id: POST_ID, creator: BOB, hidden: false, deletedAt: null });
+      stub(User, 'findById', { _id: BOB, isPrivate: false, blocked: [] });
+      stub(Comment, 'findOneAndUpdate', { _id: COMMENT_ID, post: POST_ID, creator: BOB, likesCount: 1 });
+      stub(Notification, 'findOneAndUpdate', { _id: '5f00000000000000000000f1' });
+      const emit = mock.method(io, 'emitToPost', () => {});
+
+      await CommentService.like(authContext(ALICE, { viewer: {}, blockedIds: [CAROL] }), COMMENT_ID);
+
+      const [postId, event, , except] = emit.mock.calls[0].arguments;
+      assert.deepEqual([postId, event, except], [POST_ID, 'likes', [CAROL]]);
+    });
+  });
+});
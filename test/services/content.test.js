@@ -0,0 +1,41 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Notification = require('../../models/notification');
+const Post = require('../../models/post');
+const User = require('../../models/user');
+const { notifyMentions } = require('../../services/content');
+const { query, stub } = require('../helpers');
+
+const ALICE = '5f0000000000000000000001';
+const BOB = '5f0000000000000000000002';
+const CAROL = '5f0000000000000000000003';
+const POST_ID = '5f00000000000000000000a1';
+
+/* Users by id, each loaded with whatever fields the caller selects */
+const stubUsers = users => mock.method(User, 'findById', id => query(users[id.toString()] || null));
+
+describe('notifyMentions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('only notifies mentioned users who may see the post', async () => {
+    // Alice is private; Bob follows her, Carol does not
+    stubUsers({
+      [ALICE]: { _id: ALICE, isPrivate: true },
+      [BOB]: { _id: BOB, role: 'user', following: [ALICE], blocked: [], muted: [] },
+      [CAROL]: { _id: CAROL, role: 'user', following: [], blocked: [], muted: [] }
+    });
+    stub(User, 'find', []);
+    stub(Post, 'findById', { _id: POST_ID, creator: ALICE, hidden: false, deletedAt: null });
+    const upsert = stub(Notification, 'findOneAndUpdate', { _id: '5f00000000000000000000f1' });
+
+    await notifyMentions({ mentions: [BOB, CAROL], actor: ALICE, post: POST_ID });
+
+    assert.deepEqual(upsert.mock.calls.map(c => c.arguments[0].recipient), [BOB]);
+  });
+
+  it('skips users who were already mentioned', async () => {
+    const findPost = stub(Post, 'findById', null);
+    await notifyMentions({ mentions: [BOB], previousMentions: [BOB], actor: ALICE, post: POST_ID });
+    assert.equal(findPost.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Notification = require('../../models/notification');
+const User = require('../../models/user');
+const FollowService = require('../../services/follow-service');
+const { UnauthenticatedError, ForbiddenError, NotFoundError, ConflictError, ValidationError } = require('../../util/errors');
+const { stub, authContext, anonymous } = require('../helpers');
+
+const ALICE = '5f0000000000000000000001';
+const BOB = '5f0000000000000000000002';
+
+describe('FollowService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses anonymous callers', async () => {
+    await assert.rejects(FollowService.followers(anonymous(), BOB), UnauthenticatedError);
+    await assert.rejects(FollowService.following(anonymous(), BOB), UnauthenticatedError);
+    await assert.rejects(FollowService.requests(anonymous()), UnauthenticatedError);
+    await assert.rejects(FollowService.follow(anonymous(), BOB), UnauthenticatedError);
+    await assert.rejects(FollowService.unfollow(anonymous(), BOB), UnauthenticatedError);
+    await assert.rejects(FollowService.approveRequest(anonymous(), BOB), UnauthenticatedError);
+    await assert.rejects(FollowService.block(anonymous(), BOB), UnauthenticatedError);
+  });
+
+  describe('follow', () => {
+    it('refuses to follow yourself', async () => {
+      await assert.rejects(FollowService.follow(authContext(ALICE), ALICE), ValidationError);
+    });
+
+    it('refuses to follow across a block', async () => {
+      const context = authContext(ALICE, { viewer: {}, blockedIds: [BOB] });
+      await assert.rejects(FollowService.follow(context, BOB), ForbiddenError);
+    });
+
+    it('reports a missing user', async () => {
+      stub(User, 'findById', null);
+      const context = authContext(ALICE, { viewer: {}, blockedIds: [] });
+      await assert.rejects(FollowService.follow(context, BOB), NotFoundError);
+    });
+
+    it('refuses to follow twice', async () => {
+      stub(User, 'findById', { _id: BOB, isPrivate: false });
+      const context = authContext(ALICE, { viewer: { following: [BOB] }, blockedIds: [] });
+      await assert.rejects(FollowService.follow(context, BOB), ConflictError);
+    });
+  });
+
+  describe('followers', () => {
+    it('refuses lists their owner shows to followers only', async () => {
+      stub(User, 'findById', { _id: BOB, followers: [], following: [], privacy: { followLists: 'followers' } });
+      const context = authContext(ALICE, { viewer: {}, blockedIds: [] });
+      await assert.rejects(FollowService.followers(context, BOB), ForbiddenError);
+    });
+  });
+
+  describe('block', () => {
+    it('refuses to block yourself', async () => {
+      await assert.rejects(FollowService.block(authContext(ALICE), ALICE), ValidationError);
+    });
+
+    it('cuts the follow edges on both sides in one transaction', async () => {
+      mock.method(User, 'exists', filter => Promise.resolve({ _id: filter._id }));
+      const transaction = mock.method(mongoose.connection, 'transaction', work => work('session'));
+      const update = stub(User, 'updateOne', { matchedCount: 1 });
+      stub(Notification, 'findOneAndUpdate', null);
+
+      await FollowService.block(authContext(ALICE), BOB);
+
+      assert.equal(transaction.mock.callCount(), 1);
+      assert.deepEqual(update.mock.calls.map(c => c.arguments), [
+        [{ _id: ALICE }, { $pull: { followers: BOB, following: BOB, followRequests: BOB }, $addToSet: { blocked: BOB } }, { session: 'session' }],
+        [{ _id: BOB }, { $pull: { followers: ALICE, following: ALICE, followRequests: ALICE } }, { session: 'session' }]
+      ]);
+    });
+  });
+});
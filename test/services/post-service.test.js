@@ -0,0 +1,79 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Post = require('../../models/post');
+const Upload = require('../../models/upload');
+const PostService = require('../../services/post-service');
+const { UnauthenticatedError, ForbiddenError, NotFoundError } = require('../../util/errors');
+const { stub, authContext, anonymous, invalid } = require('../helpers');
+
+const ALICE = '5f0000000000000000000001';
+const BOB = '5f0000000000000000000002';
+const POST_ID = '5f00000000000000000000a1';
+
+const validInput = { title: 'A fine title', content: 'Some fine content' };
+
+describe('PostService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses anonymous callers', async () => {
+    await assert.rejects(PostService.list(anonymous(), {}), UnauthenticatedError);
+    await assert.rejects(PostService.feed(anonymous(), {}), UnauthenticatedError);
+    await assert.rejects(PostService.create(anonymous(), validInput), UnauthenticatedError);
+    await assert.rejects(PostService.update(anonymous(), POST_ID, validInput), UnauthenticatedError);
+    await assert.rejects(PostService.remove(anonymous(), POST_ID), UnauthenticatedError);
+    await assert.rejects(PostService.like(anonymous(), POST_ID), UnauthenticatedError);
+    await assert.rejects(PostService.likers(anonymous(), POST_ID), UnauthenticatedError);
+  });
+
+  describe('create', () => {
+    it('rejects a short title and content', async () => {
+      await assert.rejects(
+        PostService.create(authContext(ALICE), { title: 'abc', content: 'abc' }),
+        invalid(['title', 'content'])
+      );
+    });
+
+    it('rejects an image the caller did not upload', async () => {
+      const exists = stub(Upload, 'exists', null);
+      await assert.rejects(
+        PostService.create(authContext(ALICE), { ...validInput, imageUrl: 'images/someone-elses.png' }),
+        invalid(['imageUrl'])
+      );
+      assert.deepEqual(exists.mock.calls[0].arguments[0], { path: 'images/someone-elses.png', owner: ALICE });
+    });
+
+    it('rejects an image path outside the images folder', async () => {
+      await assert.rejects(
+        PostService.create(authContext(ALICE), { ...validInput, imageUrl: '../app.js' }),
+        invalid(['imageUrl'])
+      );
+    });
+  });
+
+  describe('update', () => {
+    it('refuses to edit somebody else\'s post', async () => {
+      stub(Post, 'findById', { _id: POST_ID, creator: BOB, deletedAt: null, imageUrl: '' });
+      await assert.rejects(PostService.update(authContext(ALICE), POST_ID, validInput), ForbiddenError);
+    });
+
+    it('reports a deleted post as missing', async () => {
+      stub(Post, 'findById', { _id: POST_ID, creator: ALICE, deletedAt: new Date(), imageUrl: '' });
+      await assert.rejects(PostService.update(authContext(ALICE), POST_ID, validInput), NotFoundError);
+    });
+
+    it('validates the edited post', async () => {
+      stub(Post, 'findById', { _id: POST_ID, creator: ALICE, deletedAt: null, imageUrl: '' });
+      await assert.rejects(
+        PostService.update(authContext(ALICE), POST_ID, { title: 'abc', content: 'Some fine content' }),
+        invalid(['title'])
+      );
+    });
+  });
+
+  describe('remove', () => {
+    it('refuses to delete somebody else\'s post', async () => {
+      stub(Post, 'findById', { _id: POST_ID, creator: BOB, deletedAt: null });
+      await assert.rejects(PostService.remove(authContext(ALICE), POST_ID), ForbiddenError);
+    });
+  });
+});
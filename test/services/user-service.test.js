@@ -0,0 +1,100 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../models/user');
+const Upload = require('../../models/upload');
+const UserService = require('../../services/user-service');
+const { UnauthenticatedError, ForbiddenError, NotFoundError, RateLimitedError } = require('../../util/errors');
+const { stub, authContext, anonymous, invalid } = require('../helpers');
+
+const ALICE = '5f0000000000000000000001';
+const BOB = '5f0000000000000000000002';
+
+const bob = { _id: BOB, name: 'Bob', username: 'bob', followers: [], following: [], savedPosts: [] };
+
+describe('UserService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses anonymous callers', async () => {
+    await assert.rejects(UserService.getProfile(anonymous(), BOB), UnauthenticatedError);
+    await assert.rejects(UserService.getProfileByUsername(anonymous(), 'bob'), UnauthenticatedError);
+    await assert.rejects(UserService.list(anonymous()), UnauthenticatedError);
+    await assert.rejects(UserService.update(anonymous(), { bio: 'Hi' }), UnauthenticatedError);
+    await assert.rejects(UserService.logoutAll(anonymous()), UnauthenticatedError);
+  });
+
+  describe('create', () => {
+    it('rejects an invalid email, a short password and a missing name', async () => {
+      await assert.rejects(
+        UserService.create(anonymous(), { email: 'nope', password: '123', name: ' ' }),
+        invalid(['email', 'password', 'name'])
+      );
+    });
+
+    it('rejects missing fields', async () => {
+      await assert.rejects(UserService.create(anonymous(), {}), invalid(['email', 'password', 'name']));
+    });
+  });
+
+  describe('login', () => {
+    it('requires an email and a password', async () => {
+      await assert.rejects(UserService.login(anonymous(), undefined, undefined), invalid(['email', 'password']));
+    });
+
+    it('locks out repeated failures only from the address they came from', async () => {
+      stub(User, 'findOne', null);
+      const guesser = { ...anonymous(), ip: '203.0.113.7' };
+      const owner = { ...anonymous(), ip: '198.51.100.1' };
+      for (let i = 0; i < 5; i++) {
+        await assert.rejects(UserService.login(guesser, 'target@example.com', 'guess'), UnauthenticatedError);
+      }
+      await assert.rejects(UserService.login(guesser, 'target@example.com', 'guess'), RateLimitedError);
+      await assert.rejects(UserService.login(owner, 'target@example.com', 'secret'), UnauthenticatedError);
+    });
+  });
+
+  describe('list', () => {
+    it('is for admins only', async () => {
+      stub(User, 'findById', { _id: ALICE, role: 'user' });
+      await assert.rejects(UserService.list(authContext(ALICE)), ForbiddenError);
+    });
+  });
+
+  describe('updateStatus', () => {
+    it('requires a status string', async () => {
+      await assert.rejects(UserService.updateStatus(authContext(ALICE), undefined), invalid(['status']));
+      await assert.rejects(UserService.updateStatus(authContext(ALICE), { $set: 'x' }), invalid(['status']));
+    });
+  });
+
+  describe('update', () => {
+    it('rejects an avatar the caller did not upload', async () => {
+      stub(User, 'findById', { _id: ALICE, avatar: '' });
+      stub(Upload, 'exists', null);
+      await assert.rejects(UserService.update(authContext(ALICE), { avatar: 'images/bobs.png' }), invalid(['avatar']));
+    });
+  });
+
+  describe('getProfile', () => {
+    it('reports a missing user', async () => {
+      stub(User, 'findById', null);
+      await assert.rejects(UserService.getProfile(authContext(ALICE), BOB), NotFoundError);
+    });
+
+    it('hides the profile of someone who blocked the viewer', async () => {
+      stub(User, 'findById', bob);
+      const context = authContext(ALICE, { viewer: {}, blockedIds: [BOB] });
+      await assert.rejects(UserService.getProfile(context, BOB), NotFoundError);
+    });
+
+    it('shows only the bare profile of someone the viewer blocked', async () => {
+      stub(User, 'findById', bob);
+      const context = authContext(ALICE, { viewer: { blocked: [BOB] }, blockedIds: [BOB] });
+      const profile = await UserService.getProfile(context, BOB);
+      assert.equal(profile.user, bob);
+      assert.deepEqual(
+        [profile.posts, profile.savedPosts, profile.followers, profile.following],
+        [[], [], [], []]
+      );
+    });
+  });
+});
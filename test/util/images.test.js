@@ -0,0 +1,77 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const Post = require('../../models/post');
+const Revision = require('../../models/revision');
+const Upload = require('../../models/upload');
+const User = require('../../models/user');
+const { clearImage } = require('../../util/file');
+const { detectImageType, storeImage, releaseUploadsOf } = require('../../util/images');
+const { stub, invalid } = require('../helpers');
+
+const ALICE = '5f0000000000000000000001';
+
+const bytes = (...head) => Buffer.concat([Buffer.from(head), Buffer.alloc(16)]);
+
+describe('detectImageType', () => {
+  it('tells JPEG, PNG, GIF and WebP apart by their leading bytes', () => {
+    assert.equal(detectImageType(bytes(0xff, 0xd8, 0xff, 0xe0)), 'jpeg');
+    assert.equal(detectImageType(bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)), 'png');
+    assert.equal(detectImageType(Buffer.from('GIF89a\0\0\0\0\0\0')), 'gif');
+    assert.equal(detectImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'webp');
+  });
+
+  it('rejects anything else, whatever it claims to be', () => {
+    assert.equal(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), null);
+    assert.equal(detectImageType(Buffer.from('%PDF-1.7 not an image')), null);
+    assert.equal(detectImageType(Buffer.from('RIFF\0\0\0\0WAVEfmt ')), null);
+    assert.equal(detectImageType(bytes(0x89, 0x50, 0x4e, 0x47).subarray(0, 4)), null);
+    assert.equal(detectImageType(undefined), null);
+  });
+});
+
+describe('storeImage', () => {
+  let png;
+  before(async () => {
+    png = await sharp({ create: { width: 4, height: 3, channels: 3, background: '#c0ffee' } }).png().toBuffer();
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('refuses files that are not images', async () => {
+    await assert.rejects(storeImage(Buffer.from('<?php system($_GET["c"]); ?>   '), 'owner'), invalid(['image']));
+  });
+
+  it('refuses an image header followed by garbage', async () => {
+    await assert.rejects(storeImage(Buffer.concat([png.subarray(0, 8), Buffer.alloc(64, 7)]), 'owner'), invalid(['image']));
+  });
+
+  it('stores each size of a real image and records who uploaded it', async () => {
+    const create = stub(Upload, 'create', {});
+    stub(Upload, 'deleteOne', {});
+    const imagePath = await storeImage(png, ALICE);
+    try {
+      assert.match(imagePath, /^images\/[0-9a-f]{24}\.png$/);
+      assert.deepEqual(create.mock.calls[0].arguments[0], { owner: ALICE, path: imagePath });
+    } finally {
+      clearImage(imagePath);
+    }
+  });
+});
+
+describe('releaseUploadsOf', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('clears the images nothing shows any more and drops every upload record', async () => {
+    stub(Upload, 'find', [{ path: 'images/5f00000000000000000000b1.png' }, { path: 'images/5f00000000000000000000b2.png' }]);
+    mock.method(Post, 'exists', filter => Promise.resolve(filter.imageUrl.endsWith('b2.png') ? { _id: 'p' } : null));
+    stub(Revision, 'exists', null);
+    stub(User, 'exists', null);
+    const deleteOne = stub(Upload, 'deleteOne', {});
+    const deleteMany = stub(Upload, 'deleteMany', {});
+
+    await releaseUploadsOf(ALICE);
+
+    assert.deepEqual(deleteOne.mock.calls.map(c => c.arguments[0]), [{ path: 'images/5f00000000000000000000b1.png' }]);
+    assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { owner: ALICE });
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { limit, checkLoginLock, recordLoginFailure, clearLoginFailures } = require('../../util/rate-limit');
+const { RateLimitedError } = require('../../util/errors');
+
+const MINUTE = 60 * 1000;
+
+/* Pin the clock the in-memory store reads; returns a function moving it forward */
+const freezeClock = () => {
+  let now = Date.now();
+  mock.method(Date, 'now', () => now);
+  return ms => { now += ms; };
+};
+
+const failTimes = async (n, account, ip) => {
+  for (let i = 0; i < n; i++) await recordLoginFailure(account, ip);
+};
+
+describe('login lockout', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('locks an account for an address from the fifth failure on', async () => {
+    freezeClock();
+    await failTimes(4, 'four@example.com', '10.0.0.1');
+    await checkLoginLock('four@example.com', '10.0.0.1');
+
+    await failTimes(1, 'four@example.com', '10.0.0.1');
+    await assert.rejects(checkLoginLock('four@example.com', '10.0.0.1'), RateLimitedError);
+  });
+
+  it('ignores the case of the account', async () => {
+    freezeClock();
+    await failTimes(5, 'Case@Example.com', '10.0.0.2');
+    await assert.rejects(checkLoginLock('case@example.com', '10.0.0.2'), RateLimitedError);
+  });
+
+  it('leaves the account open from other addresses', async () => {
+    freezeClock();
+    await failTimes(5, 'owner@example.com', '10.0.0.3');
+    await checkLoginLock('owner@example.com', '10.0.0.4');
+  });
+
+  it('lifts the lock when it expires, and doubles it on the next failure', async () => {
+    const advance = freezeClock();
+    await failTimes(5, 'expiry@example.com', '10.0.0.5');
+    advance(MINUTE + 1);
+    await checkLoginLock('expiry@example.com', '10.0.0.5');
+
+    await failTimes(1, 'expiry@example.com', '10.0.0.5');
+    advance(MINUTE + 1);
+    await assert.rejects(checkLoginLock('expiry@example.com', '10.0.0.5'), RateLimitedError);
+    advance(MINUTE);
+    await checkLoginLock('expiry@example.com', '10.0.0.5');
+  });
+
+  it('forgets earlier failures after a successful login', async () => {
+    freezeClock();
+    await failTimes(5, 'cleared@example.com', '10.0.0.6');
+    await clearLoginFailures('cleared@example.com', '10.0.0.6');
+    await checkLoginLock('cleared@example.com', '10.0.0.6');
+    await failTimes(4, 'cleared@example.com', '10.0.0.6');
+    await checkLoginLock('cleared@example.com', '10.0.0.6');
+  });
+});
+
+describe('limit', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('refuses calls past the budget until the window ends', async () => {
+    const advance = freezeClock();
+    const caller = { ip: '10.0.1.1' };
+    // Sign-ups allow 5 per hour from one address
+    for (let i = 0; i < 5; i++) await limit('createUser', caller);
+    await assert.rejects(limit('createUser', caller), err => err instanceof RateLimitedError && err.retryAfter > 0);
+    advance(60 * MINUTE);
+    await limit('createUser', caller);
+  });
+});
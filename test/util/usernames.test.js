@@ -0,0 +1,112 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../models/user');
+const {
+  CASE_INSENSITIVE, usernameErrors, isUsernameTaken, suggestUsername, applyRename
+} = require('../../util/usernames');
+const { query } = require('../helpers');
+
+const messages = username => usernameErrors(username).map(e => e.message);
+
+describe('usernameErrors', () => {
+  it('accepts letters, digits, "_" and single dots between them', () => {
+    ['jane', 'Jane_Doe', 'j.doe', 'abc', 'a'.repeat(30), '_jane'].forEach(name => {
+      assert.deepEqual(usernameErrors(name), [], name);
+    });
+  });
+
+  it('refuses handles too short or too long', () => {
+    ['', 'ab', 'a'.repeat(31), undefined, 42].forEach(name => {
+      assert.deepEqual(messages(name), ['Username must be 3 to 30 characters long.'], String(name));
+    });
+  });
+
+  it('refuses other characters and stray dots', () => {
+    ['jane doe', 'jane@doe', 'j..doe', '.jane', 'jane.', 'jäne'].forEach(name => {
+      assert.equal(usernameErrors(name).length, 1, name);
+      assert.match(messages(name)[0], /may only contain/, name);
+    });
+  });
+
+  it('refuses reserved handles whatever their case', () => {
+    assert.deepEqual(messages('Admin'), ['This username is reserved.']);
+    assert.deepEqual(messages('GraphQL'), ['This username is reserved.']);
+  });
+});
+
+describe('isUsernameTaken', () => {
+  afterEach(() => mock.restoreAll());
+
+  /* Stub User.exists, recording its filter and collation */
+  const stubExists = result => {
+    const calls = [];
+    mock.method(User, 'exists', filter => {
+      const q = query(result);
+      q.collation = collation => { calls.push({ filter, collation }); return q; };
+      return q;
+    });
+    return calls;
+  };
+
+  it('counts current and old handles of anyone, ignoring case', async () => {
+    const calls = stubExists({ _id: 'someone' });
+    assert.equal(await isUsernameTaken('Jane'), true);
+    assert.deepEqual(calls, [{ filter: { $or: [{ username: 'Jane' }, { previousUsernames: 'Jane' }] }, collation: CASE_INSENSITIVE }]);
+  });
+
+  it('does not count the user asking', async () => {
+    const calls = stubExists(null);
+    assert.equal(await isUsernameTaken('jane', 'me'), false);
+    assert.deepEqual(calls[0].filter._id, { $ne: 'me' });
+  });
+});
+
+describe('suggestUsername', () => {
+  const takenOnly = (...taken) => async name => taken.includes(name);
+
+  it('normalizes a name into a valid handle', async () => {
+    assert.equal(await suggestUsername({ name: 'José  Müller' }, takenOnly()), 'jose_muller');
+    assert.equal(await suggestUsername({ name: '..Ann..Lee..' }, takenOnly()), 'ann.lee');
+  });
+
+  it('falls back to the email when the name gives no valid handle', async () => {
+    assert.equal(await suggestUsername({ name: '李', email: 'li.wei@example.com' }, takenOnly()), 'li.wei');
+    assert.equal(await suggestUsername({ name: 'Admin', email: 'boss@example.com' }, takenOnly()), 'boss');
+  });
+
+  it('numbers the handle when it is taken', async () => {
+    assert.equal(await suggestUsername({ name: 'Jane' }, takenOnly('jane')), 'jane2');
+    assert.equal(await suggestUsername({ name: 'Jane' }, takenOnly('jane', 'jane2', 'jane3')), 'jane4');
+  });
+
+  it('uses "user" when neither the name nor the email will do', async () => {
+    assert.equal(await suggestUsername({ name: '!!', email: '@example.com' }, takenOnly()), 'user2');
+  });
+
+  it('switches to random suffixes once the numbered handles run out', async () => {
+    const suggestion = await suggestUsername({ name: 'Sam' }, async name => name === 'sam' || /^sam\d{1,2}$/.test(name));
+    assert.match(suggestion, /^sam\d{6}$/);
+  });
+});
+
+describe('applyRename', () => {
+  it('keeps the old handle so links to it still resolve', () => {
+    const user = { username: 'jane', previousUsernames: [] };
+    applyRename(user, 'jane_doe');
+    assert.deepEqual(user, { username: 'jane_doe', previousUsernames: ['jane'] });
+  });
+
+  it('does not keep a handle that only changed case, nor one taken back', () => {
+    const user = { username: 'jane', previousUsernames: ['jd'] };
+    applyRename(user, 'Jane');
+    assert.deepEqual(user.previousUsernames, ['jd']);
+    applyRename(user, 'JD');
+    assert.deepEqual(user, { username: 'JD', previousUsernames: ['Jane'] });
+  });
+
+  it('remembers at most five old handles', () => {
+    const user = { username: 'h0', previousUsernames: [] };
+    ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].forEach(name => applyRename(user, name));
+    assert.deepEqual(user.previousUsernames, ['h5', 'h4', 'h3', 'h2', 'h1']);
+  });
+});
@@ -0,0 +1,22 @@
+// `#tag` and `@handle` must start a word, so "a#b", "mail@example.com" and
+// "&#39;" are not picked up.
+const TAG_PATTERN = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]{1,50})/gu;
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@.])@([a-zA-Z0-9_.]{1,30})/gu;
+
+const collect = (text, pattern) => {
+  const found = new Set();
+  for (const match of (text || '').matchAll(pattern)) {
+    found.add(match[2].replace(/\.+$/, '').toLowerCase());
+  }
+  found.delete('');
+  return [...found];
+};
+
+/* Unique, lower-cased hashtags without the leading `#` */
+exports.extractTags = text => collect(text, TAG_PATTERN);
+
+/* Unique, lower-cased usernames without the leading `@` */
+exports.extractMentions = text => collect(text, MENTION_PATTERN);
+
+/* Normalize a tag as typed by a client ("#NodeJS" -> "nodejs") */
+exports.normalizeTag = tag => (tag || '').trim().replace(/^#/, '').toLowerCase();
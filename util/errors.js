@@ -0,0 +1,140 @@
+// Every error the API reports carries one of these codes. Clients branch on the
+// code (sent as `extensions.code`); the HTTP-style status is kept for older clients.
+const STATUS_BY_CODE = {
+  UNAUTHENTICATED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  VALIDATION: 422,
+  RATE_LIMITED: 429,
+  INTERNAL: 500
+};
+
+const CODE_BY_STATUS = Object.keys(STATUS_BY_CODE).reduce(
+  (codes, code) => ({ ...codes, [STATUS_BY_CODE[code]]: code }),
+  { 400: 'VALIDATION' }
+);
+
+const INTERNAL_MESSAGE = 'An internal error occurred.';
+
+class AppError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = STATUS_BY_CODE[code];
+    if (data !== undefined) this.data = data;
+  }
+}
+
+class UnauthenticatedError extends AppError {
+  constructor(message = 'Not authenticated!') {
+    super('UNAUTHENTICATED', message);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Not authorized!') {
+    super('FORBIDDEN', message);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found!') {
+    super('NOT_FOUND', message);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message) {
+    super('CONFLICT', message);
+  }
+}
+
+/* `fields` lists what was wrong with the input: [{ field, message }] */
+class ValidationError extends AppError {
+  constructor(message = 'Invalid input.', fields = []) {
+    super('VALIDATION', message, fields);
+  }
+}
+
+class RateLimitedError extends AppError {
+  constructor(message = 'Too many requests. Please try again later.', retryAfter = 60) {
+    super('RATE_LIMITED', message);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/* Throw a ValidationError when `fields` holds any problems */
+const assertValid = fields => {
+  if (fields.length > 0) throw new ValidationError('Invalid input.', fields);
+};
+
+/* Map anything thrown to an AppError; unexpected errors become INTERNAL */
+const toAppError = err => {
+  if (err instanceof AppError) return err;
+  // Malformed ids and schema violations reported by mongoose
+  if (err.name === 'CastError') {
+    return new ValidationError('Invalid input.', [{ field: err.path, message: `Invalid ${err.kind} value.` }]);
+  }
+  if (err.name === 'ValidationError' && err.errors) {
+    return new ValidationError(
+      'Invalid input.',
+      Object.values(err.errors).map(e => ({ field: e.path, message: e.message }))
+    );
+  }
+  // Errors that only set a numeric `code`/`statusCode` the old way
+  const status = typeof err.code === 'number' && err.code < 600 ? err.code : err.statusCode;
+  if (CODE_BY_STATUS[status]) {
+    const appError = new AppError(CODE_BY_STATUS[status], err.message, err.data);
+    appError.statusCode = status;
+    return appError;
+  }
+  const internal = new AppError('INTERNAL', err.message);
+  internal.cause = err;
+  return internal;
+};
+
+/* Shape of an error in responses. Internal messages are not exposed in production. */
+const serializeError = err => {
+  const appError = toAppError(err);
+  const internal = appError.code === 'INTERNAL';
+  if (internal) console.error('Internal error:', appError.cause || appError);
+
+  const body = {
+    message: internal && process.env.NODE_ENV === 'production' ? INTERNAL_MESSAGE : appError.message,
+    status: appError.statusCode,
+    data: appError.data,
+    extensions: { code: appError.code }
+  };
+  if (appError.retryAfter !== undefined) body.extensions.retryAfter = appError.retryAfter;
+  return body;
+};
+
+/* Whether GraphQL rejected the request before running it (bad syntax, unknown
+   fields, wrong argument or variable types): such errors have neither an
+   originalError nor a path. Other errors without an originalError, such as a
+   resolver returning null for a non-null field, are server bugs. */
+const isGraphQLValidationError = err => !err.originalError && !err.path;
+
+/* `formatError` for express-graphql */
+const formatGraphQLError = err => {
+  const body = isGraphQLValidationError(err)
+    ? { message: err.message, status: 400, extensions: { code: 'VALIDATION' } }
+    : serializeError(err.originalError || err);
+  return { ...body, locations: err.locations, path: err.path };
+};
+
+module.exports = {
+  AppError,
+  UnauthenticatedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  RateLimitedError,
+  assertValid,
+  toAppError,
+  serializeError,
+  formatGraphQLError
+};
@@ -1,17 +1,67 @@
 const path = require('path');
 const fs = require('fs');
 
+const Upload = require('../models/upload');
+
+const IMAGES_DIR = path.join(__dirname, '..', 'images');
+
+// Uploads are stored as images/<id>.<ext> with resized copies next to them
+const VARIANTS = ['thumb', 'medium', 'full'];
+const GENERATED_IMAGE = /^images\/([0-9a-f]{24})\.(jpg|png)$/;
+
+const variantName = (id, variant, ext) => (variant === 'full' ? `${id}.${ext}` : `${id}-${variant}.${ext}`);
+
+/* Resolve a stored image path such as "images/abc.png" inside the images
+   folder; anything pointing elsewhere ("../app.js", absolute paths) gives null */
+const resolveImagePath = imageUrl => {
+  if (typeof imageUrl !== 'string' || !imageUrl || path.isAbsolute(imageUrl) || imageUrl.includes('\0')) return null;
+  const resolved = path.resolve(IMAGES_DIR, path.relative('images', path.normalize(imageUrl)));
+  const relative = path.relative(IMAGES_DIR, resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return resolved;
+};
+
+/* Every file belonging to an image: the image itself plus its resized and WebP copies */
+const imageFiles = imageUrl => {
+  const match = GENERATED_IMAGE.exec(imageUrl);
+  if (!match) return [imageUrl];
+  const [, id, ext] = match;
+  return VARIANTS.reduce((files, v) => files.concat(`images/${variantName(id, v, ext)}`, `images/${variantName(id, v, 'webp')}`), []);
+};
+
+/* Public URLs of the thumb/medium/full copies of an image. Older uploads and
+   remote URLs have no copies, so every size falls back to the original. */
+const imageSet = (imageUrl, webp = false) => {
+  if (!imageUrl) return null;
+  const match = GENERATED_IMAGE.exec(imageUrl);
+  if (!match) return { thumb: imageUrl, medium: imageUrl, full: imageUrl };
+  const [, id, ext] = match;
+  return VARIANTS.reduce((set, v) => ({ ...set, [v]: `images/${variantName(id, v, webp ? 'webp' : ext)}` }), {});
+};
+
 const clearImage = filePath => {
   if (!filePath) return;
 
-  filePath = path.join(__dirname, '..', filePath);
-  fs.unlink(filePath, err => {
-    if (err && err.code !== 'ENOENT') {
-      // Only log errors that aren't "file not found"
-      console.error('Error deleting file:', err);
+  imageFiles(filePath.replace(/\\/g, '/')).forEach(file => {
+    const resolved = resolveImagePath(file);
+    if (!resolved) {
+      console.error('Refusing to delete file outside the images folder:', file);
+      return;
     }
-    // Silently ignore ENOENT errors (file already deleted)
+    fs.unlink(resolved, err => {
+      if (err && err.code !== 'ENOENT') {
+        // Only log errors that aren't "file not found"
+        console.error('Error deleting file:', err);
+      }
+      // Silently ignore ENOENT errors (file already deleted)
+    });
   });
+  Upload.deleteOne({ path: filePath }).catch(err => console.error('Error removing upload record:', err));
 };
 
-exports.clearImage = clearImage;
\ No newline at end of file
+exports.IMAGES_DIR = IMAGES_DIR;
+exports.VARIANTS = VARIANTS;
+exports.variantName = variantName;
+exports.resolveImagePath = resolveImagePath;
+exports.imageSet = imageSet;
+exports.clearImage = clearImage;
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+
+const Upload = require('../models/upload');
+const Post = require('../models/post');
+const Revision = require('../models/revision');
+const User = require('../models/user');
+const { IMAGES_DIR, VARIANTS, variantName, resolveImagePath, clearImage } = require('./file');
+const { ValidationError } = require('./errors');
+
+const MAX_UPLOAD_BYTES = (parseFloat(process.env.MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+// Refuse images that would decode to more pixels than this (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Longest side of each stored copy; smaller images are never enlarged
+const VARIANT_SIZES = { thumb: 200, medium: 800, full: 1600 };
+
+/* Identify an image by its leading bytes; the client's mimetype is not trusted */
+const detectImageType = buffer => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  const header = buffer.toString('ascii', 0, 12);
+  if (header.startsWith('GIF87a') || header.startsWith('GIF89a')) return 'gif';
+  if (header.startsWith('RIFF') && header.slice(8) === 'WEBP') return 'webp';
+  return null;
+};
+
+const invalidImage = message => new ValidationError('Invalid image.', [{ field: 'image', message }]);
+
+/**
+ * Validate an uploaded image and write its thumb/medium/full copies, each as
+ * JPEG or PNG (PNG keeps transparency) and as WebP. Copies are re-encoded,
+ * which also drops EXIF data such as GPS positions. Returns the path of the
+ * full-size copy, e.g. "images/<id>.jpg".
+ */
+exports.storeImage = async (buffer, ownerId) => {
+  const type = detectImageType(buffer);
+  if (!type) throw invalidImage('Only JPEG, PNG, GIF and WebP images are accepted.');
+
+  let image;
+  try {
+    image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+    await image.metadata();
+  } catch (err) {
+    throw invalidImage('The image could not be read.');
+  }
+
+  const id = crypto.randomBytes(12).toString('hex');
+  const ext = type === 'jpeg' ? 'jpg' : 'png';
+  await fs.promises.mkdir(IMAGES_DIR, { recursive: true });
+  const written = [];
+  try {
+    for (const variant of VARIANTS) {
+      const size = VARIANT_SIZES[variant];
+      const resized = image.clone().resize(size, size, { fit: 'inside', withoutEnlargement: true });
+      const file = path.join(IMAGES_DIR, variantName(id, variant, ext));
+      const webpFile = path.join(IMAGES_DIR, variantName(id, variant, 'webp'));
+      written.push(file, webpFile);
+      await (ext === 'jpg' ? resized.clone().jpeg({ quality: 85, mozjpeg: true }) : resized.clone().png()).toFile(file);
+      await resized.clone().webp({ quality: 80 }).toFile(webpFile);
+    }
+  } catch (err) {
+    await Promise.all(written.map(file => fs.promises.unlink(file).catch(() => {})));
+    throw invalidImage('The image could not be processed.');
+  }
+
+  const filePath = `images/${variantName(id, 'full', ext)}`;
+  await Upload.create({ owner: ownerId, path: filePath });
+  return filePath;
+};
+
+const isRemoteUrl = imageUrl => /^https?:\/\//i.test(imageUrl);
+
+/* Whether a post, a post's edit history or an avatar still shows the image */
+const isImageReferenced = async imageUrl => {
+  const [post, revision, user] = await Promise.all([
+    Post.exists({ imageUrl }),
+    Revision.exists({ imageUrl }),
+    User.exists({ avatar: imageUrl })
+  ]);
+  return !!(post || revision || user);
+};
+
+/**
+ * Whether `ownerId` may point a post or avatar at `imageUrl`: no image, a
+ * remote URL, or an image they uploaded themselves. Anything else would let
+ * them attach (and later delete) somebody else's files.
+ */
+exports.canUseImage = async (imageUrl, ownerId) => {
+  if (!imageUrl || isRemoteUrl(imageUrl)) return true;
+  if (typeof imageUrl !== 'string' || !resolveImagePath(imageUrl)) return false;
+  return !!(await Upload.exists({ path: imageUrl, owner: ownerId }));
+};
+
+/**
+ * Delete an image the caller uploaded earlier and no longer needs, e.g. one
+ * picked and then replaced before saving a post. Images of other users, and
+ * images still shown by a post, a post's edit history or an avatar, are kept.
+ * Returns whether the image was deleted.
+ */
+exports.discardUpload = async (imageUrl, ownerId) => {
+  if (!resolveImagePath(imageUrl)) return false;
+  const upload = await Upload.findOne({ path: imageUrl, owner: ownerId });
+  if (!upload) return false;
+  if (await isImageReferenced(imageUrl)) return false;
+
+  clearImage(imageUrl);
+  return true;
+};
+
+/**
+ * Delete a local image once whatever showed it is gone, e.g. a purged post or
+ * a deleted account's avatar. Call it after removing the referencing document:
+ * an image something else still shows is kept, and remote URLs are left alone.
+ */
+exports.releaseImage = async imageUrl => {
+  if (!imageUrl || isRemoteUrl(imageUrl) || !resolveImagePath(imageUrl)) return;
+  try {
+    if (!(await isImageReferenced(imageUrl))) clearImage(imageUrl);
+  } catch (err) {
+    console.error('Error clearing image:', err);
+  }
+};
+
+/**
+ * Forget everything a deleted account uploaded, attached or not: each image
+ * is released as above and the upload records are dropped.
+ */
+exports.releaseUploadsOf = async ownerId => {
+  const uploads = await Upload.find({ owner: ownerId }).select('path');
+  await Promise.all(uploads.map(upload => exports.releaseImage(upload.path)));
+  await Upload.deleteMany({ owner: ownerId });
+};
+
+exports.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
+exports.detectImageType = detectImageType;
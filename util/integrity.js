@@ -0,0 +1,120 @@
+const User = require('../models/user');
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+
+// Lists kept on every user that point at other documents
+const USER_LISTS = ['following', 'followers', 'followRequests', 'blocked', 'muted', 'posts', 'savedPosts'];
+
+// Models whose `likesCount` mirrors the size of their `likes`
+const LIKE_COUNTED = { posts: Post, comments: Comment };
+
+const idSet = ids => new Set(ids.map(id => id.toString()));
+
+/* Ids in `expected` but not in `actual`, and the other way round */
+const diff = (actual, expected) => {
+  const actualIds = idSet(actual);
+  return {
+    missing: [...expected].filter(id => !actualIds.has(id)),
+    extra: [...actualIds].filter(id => !expected.has(id))
+  };
+};
+
+/**
+ * Compare every user's lists with what the rest of the data says they should
+ * hold, and with `repair` bring them back in line. The rules:
+ *
+ * - `following` is the source of truth for the follow graph: `followers` is
+ *   rebuilt from it. Follows and unfollows write `following` first, so one
+ *   interrupted between its two writes is finished rather than undone.
+ * - `posts` holds exactly the user's posts that are not soft-deleted.
+ * - Ids of users or posts that no longer exist are dropped from every list,
+ *   as are self-follows, duplicates, and requests from existing followers.
+ * - Every post's and comment's `likesCount` equals the size of its `likes`.
+ *   Repairing this also backfills documents written before the count existed.
+ *
+ * Fixes `$pull`/`$addToSet` just the ids that differ instead of rewriting whole
+ * lists. The follow graph is read once up front, so run repairs when traffic is
+ * low. Resolves to a report of what was found:
+ * `{ users, drifted, lists: { [list]: { users, added, removed } }, orphanedPosts, likesCounts: { posts, comments } }`.
+ */
+exports.checkIntegrity = async ({ repair = false } = {}) => {
+  const userIds = idSet(await User.distinct('_id'));
+  const postIds = idSet(await Post.distinct('_id'));
+
+  // Who should follow whom, and whose live posts are whose
+  const followersOf = new Map();
+  const followingCursor = User.find().select('following').lean().cursor();
+  for await (const u of followingCursor) {
+    const id = u._id.toString();
+    idSet(u.following || []).forEach(target => {
+      if (target === id || !userIds.has(target)) return;
+      if (!followersOf.has(target)) followersOf.set(target, new Set());
+      followersOf.get(target).add(id);
+    });
+  }
+  const postsOf = new Map(
+    (await Post.aggregate([
+      { $match: { deletedAt: null } },
+      { $group: { _id: '$creator', posts: { $push: '$_id' } } }
+    ])).map(g => [g._id && g._id.toString(), idSet(g.posts)])
+  );
+  const orphanedPosts = [...postsOf.keys()].filter(id => !userIds.has(id))
+    .reduce((count, id) => count + postsOf.get(id).size, 0);
+
+  const report = { users: userIds.size, drifted: 0, lists: {}, orphanedPosts, likesCounts: {} };
+  USER_LISTS.forEach(list => { report.lists[list] = { users: 0, added: 0, removed: 0 }; });
+
+  const cursor = User.find().select(USER_LISTS.join(' ')).lean().cursor();
+  for await (const u of cursor) {
+    const id = u._id.toString();
+    const existingUsers = ids => new Set([...idSet(ids || [])].filter(other => other !== id && userIds.has(other)));
+    const followers = followersOf.get(id) || new Set();
+
+    const expected = {
+      following: existingUsers(u.following),
+      followers,
+      followRequests: new Set([...existingUsers(u.followRequests)].filter(other => !followers.has(other))),
+      blocked: existingUsers(u.blocked),
+      muted: existingUsers(u.muted),
+      posts: postsOf.get(id) || new Set(),
+      // Soft-deleted posts stay saved, since they may still be restored
+      savedPosts: new Set([...idSet(u.savedPosts || [])].filter(postId => postIds.has(postId)))
+    };
+
+    const pull = {};
+    const addToSet = {};
+    USER_LISTS.forEach(list => {
+      const actual = u[list] || [];
+      const { missing, extra } = diff(actual, expected[list]);
+      const duplicated = actual.length !== idSet(actual).size;
+      if (missing.length === 0 && extra.length === 0 && !duplicated) return;
+
+      report.lists[list].users += 1;
+      report.lists[list].added += missing.length;
+      report.lists[list].removed += extra.length;
+      // $pull removes every copy of an id, so duplicated ones are pulled and added back once
+      const kept = duplicated ? [...idSet(actual)].filter(other => expected[list].has(other)) : [];
+      if (extra.length + kept.length > 0) pull[list] = { $in: [...extra, ...kept] };
+      if (missing.length + kept.length > 0) addToSet[list] = { $each: [...missing, ...kept] };
+    });
+
+    if (Object.keys(pull).length === 0 && Object.keys(addToSet).length === 0) continue;
+    report.drifted += 1;
+    if (!repair) continue;
+
+    // A field cannot be pulled from and added to in the same update
+    if (Object.keys(pull).length > 0) await User.updateOne({ _id: u._id }, { $pull: pull });
+    if (Object.keys(addToSet).length > 0) await User.updateOne({ _id: u._id }, { $addToSet: addToSet });
+  }
+
+  for (const [name, Model] of Object.entries(LIKE_COUNTED)) {
+    const likesSize = { $size: { $ifNull: ['$likes', []] } };
+    const filter = { $expr: { $ne: [{ $ifNull: ['$likesCount', -1] }, likesSize] } };
+    report.likesCounts[name] = await Model.countDocuments(filter);
+    if (repair && report.likesCounts[name] > 0) {
+      await Model.updateMany(filter, [{ $set: { likesCount: likesSize } }], { updatePipeline: true });
+    }
+  }
+
+  return report;
+};
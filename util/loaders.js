@@ -0,0 +1,65 @@
+const DataLoader = require('dataloader');
+const mongoose = require('mongoose');
+
+const User = require('../models/user');
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+
+// Fields loaded whenever a user is shown as a creator, liker, follower, etc.
+const USER_SUMMARY_FIELDS = 'name email status role avatar username bio privacy isPrivate suspended';
+
+const toObjectId = id => new mongoose.Types.ObjectId(id.toString());
+const loaderOptions = { cacheKeyFn: id => id.toString() };
+
+/* Batch `load(id)` calls into one `$in` query, answering in the order asked */
+const batchFindById = (Model, select) => async ids => {
+  const query = Model.find({ _id: { $in: ids.map(toObjectId) } });
+  if (select) query.select(select);
+  const docs = await query;
+  const byId = new Map(docs.map(d => [d._id.toString(), d]));
+  return ids.map(id => byId.get(id.toString()) || null);
+};
+
+/* Batch per-id counts of `Model` documents whose `field` points at the id */
+const batchCountBy = (Model, field, filter = {}) => async ids => {
+  const counts = await Model.aggregate([
+    { $match: { ...filter, [field]: { $in: ids.map(toObjectId) } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  const byId = new Map(counts.map(c => [c._id.toString(), c.count]));
+  return ids.map(id => byId.get(id.toString()) || 0);
+};
+
+/**
+ * Per-request loaders. Created once per GraphQL request and put on the
+ * context, so every lookup made while resolving that request is batched and
+ * cached; nothing is shared between requests.
+ */
+exports.createLoaders = () => ({
+  user: new DataLoader(batchFindById(User, USER_SUMMARY_FIELDS), loaderOptions),
+  // Pending follow requests, for telling who the viewer has asked to follow
+  followRequests: new DataLoader(batchFindById(User, 'followRequests'), loaderOptions),
+  post: new DataLoader(batchFindById(Post), loaderOptions),
+  comment: new DataLoader(batchFindById(Comment), loaderOptions),
+  commentsCount: new DataLoader(batchCountBy(Comment, 'post', { parentId: null, deletedAt: null }), loaderOptions),
+  repliesCount: new DataLoader(batchCountBy(Comment, 'parentId', { deletedAt: null }), loaderOptions)
+});
+
+/* Resolve user references that may or may not be populated. Bare ids go
+   through the request's loader, so a whole page of posts or comments shares
+   one users query instead of a populate per document. */
+exports.loadUser = async (ref, loaders) => {
+  if (!ref || ref.name !== undefined) return ref;
+  return loaders ? loaders.user.load(ref) : User.findById(ref).select(USER_SUMMARY_FIELDS);
+};
+
+exports.loadUsers = async (refs, loaders) => {
+  if (!refs || refs.length === 0) return [];
+  if (refs.every(r => r && r.name !== undefined)) return refs;
+  const users = loaders
+    ? await loaders.user.loadMany(refs.map(r => r._id || r))
+    : await User.find({ _id: { $in: refs.map(r => r._id || r) } }).select(USER_SUMMARY_FIELDS);
+  return users.filter(u => u && !(u instanceof Error));
+};
+
+exports.USER_SUMMARY_FIELDS = USER_SUMMARY_FIELDS;
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+// Where links in emails point, e.g. https://app.example.com
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+const OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox'));
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+/**
+ * Transports deliver one message `{ from, to, subject, text }` and may return
+ * a promise. Pick a built-in one with MAIL_TRANSPORT (console or file), or
+ * plug in a real provider with `setTransport({ send })`. Messages carry
+ * sign-in links, so production never falls back to printing them.
+ */
+const transports = {
+  // Print the message to the server log; in production only who it went to
+  console: {
+    send: message => {
+      const body = IS_PRODUCTION ? '' : `\n${message.text}\n`;
+      console.log(`📧 Mail to ${message.to}: ${message.subject}${body}`);
+    }
+  },
+  // Write each message as a JSON file under MAIL_OUTBOX_DIR
+  file: {
+    send: async message => {
+      await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.promises.writeFile(path.join(OUTBOX_DIR, name), JSON.stringify(message, null, 2));
+    }
+  }
+};
+
+// Production without MAIL_TRANSPORT or setTransport sends nothing rather than leak tokens to the log
+const unconfigured = {
+  send: () => {
+    throw new Error('No mail transport configured; set MAIL_TRANSPORT or call setTransport.');
+  }
+};
+
+let transport = transports[process.env.MAIL_TRANSPORT] || (IS_PRODUCTION ? unconfigured : transports.console);
+
+/* Replace the transport, e.g. with an SMTP or API-backed one */
+exports.setTransport = newTransport => {
+  transport = newTransport;
+};
+
+/* Send a message. Failures are logged, never thrown, so a mail outage cannot break the request. */
+exports.sendMail = async ({ to, subject, text }) => {
+  try {
+    await transport.send({ from: MAIL_FROM, to, subject, text });
+    return true;
+  } catch (err) {
+    console.error(`Error sending mail "${subject}":`, err.message);
+    return false;
+  }
+};
+
+/* Build a link into the web app */
+exports.appLink = (pathname, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${APP_URL}${pathname}${query ? `?${query}` : ''}`;
+};
@@ -0,0 +1,88 @@
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const io = require('../socket');
+
+// Which `notificationPreferences` switch controls each notification type.
+const PREFERENCE_BY_TYPE = {
+  like_post: 'likes',
+  like_comment: 'likes',
+  comment: 'comments',
+  reply: 'replies',
+  follow: 'follows',
+  follow_request: 'follows',
+  follow_accepted: 'follows',
+  mention: 'mentions'
+};
+
+const toId = value => (value && value._id ? value._id : value) || null;
+
+/* Record that `actor` did something to `recipient`, collapsing into an unread notification */
+exports.notify = async ({ recipient, actor, type, post = null, comment = null }) => {
+  recipient = toId(recipient);
+  actor = toId(actor);
+  if (!recipient || !actor || recipient.toString() === actor.toString()) return null;
+
+  try {
+    const user = await User.findById(recipient).select('notificationPreferences blocked');
+    if (!user) return null;
+    if ((user.blocked || []).some(id => id.toString() === actor.toString())) return null;
+    const prefs = user.notificationPreferences || {};
+    if (prefs[PREFERENCE_BY_TYPE[type]] === false) return null;
+
+    const filter = { recipient, type, post: toId(post), comment: toId(comment), read: false };
+    const update = { $addToSet: { actors: actor }, $set: { latestActor: actor } };
+    let notification;
+    try {
+      notification = await Notification.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    } catch (err) {
+      // Two concurrent upserts can race on the unread unique index; the loser retries as an update.
+      if (err.code !== 11000) throw err;
+      notification = await Notification.findOneAndUpdate(filter, update, { new: true });
+    }
+
+    io.emitToUser(recipient, 'notifications', { action: 'create', notificationId: notification._id.toString() });
+    return notification;
+  } catch (err) {
+    // A failed notification must never fail the action that triggered it.
+    console.error('Error creating notification:', err);
+    return null;
+  }
+};
+
+/* Undo `notify` when the action is reversed (unlike, unfollow) before it was read */
+exports.retract = async ({ recipient, actor, type, post = null, comment = null }) => {
+  recipient = toId(recipient);
+  actor = toId(actor);
+  if (!recipient || !actor) return;
+
+  try {
+    const filter = { recipient, type, post: toId(post), comment: toId(comment), read: false };
+    const notification = await Notification.findOneAndUpdate(filter, { $pull: { actors: actor } }, { new: true });
+    if (!notification) return;
+    if (notification.actors.length === 0) {
+      await Notification.deleteOne({ _id: notification._id });
+    } else if (notification.latestActor.toString() === actor.toString()) {
+      notification.latestActor = notification.actors[notification.actors.length - 1];
+      await notification.save();
+    }
+  } catch (err) {
+    console.error('Error retracting notification:', err);
+  }
+};
+
+/* Drop notifications about removed content */
+exports.removeForTargets = async ({ posts = [], comments = [] }) => {
+  await Notification.deleteMany({ $or: [{ post: { $in: posts } }, { comment: { $in: comments } }] });
+};
+
+/* Forget a deleted user, both as a recipient and as an actor */
+exports.removeForUser = async userId => {
+  await Notification.deleteMany({ recipient: userId });
+  await Notification.updateMany({ actors: userId }, { $pull: { actors: userId } });
+  await Notification.deleteMany({ actors: { $size: 0 } });
+  const stale = await Notification.find({ latestActor: userId });
+  await Promise.all(stale.map(n => {
+    n.latestActor = n.actors[n.actors.length - 1];
+    return n.save();
+  }));
+};
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const { ValidationError } = require('./errors');
+
+const invalidCursor = () => new ValidationError('Invalid cursor.', [{ field: 'cursor', message: 'Invalid cursor.' }]);
+
+const parseCursor = cursor => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+  } catch (err) {
+    throw invalidCursor();
+  }
+};
+
+/* Opaque cursor: base64 JSON of the sort keys (`createdAt` + `_id`, plus any extras such as a score) */
+exports.encodeCursor = (doc, extra = {}) =>
+  Buffer.from(JSON.stringify({ ...extra, c: new Date(doc.createdAt).toISOString(), i: doc._id.toString() })).toString('base64');
+
+exports.decodeCursor = cursor => {
+  const data = parseCursor(cursor);
+  const createdAt = new Date(data && data.c);
+  if (isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(data.i)) throw invalidCursor();
+  return { ...data, createdAt, id: new mongoose.Types.ObjectId(data.i) };
+};
+
+/* Opaque cursor for lists ordered by `_id` alone, such as the likers of a post */
+exports.encodeIdCursor = doc => Buffer.from(JSON.stringify({ i: doc._id.toString() })).toString('base64');
+
+exports.decodeIdCursor = cursor => {
+  const data = parseCursor(cursor);
+  if (!data || !mongoose.Types.ObjectId.isValid(data.i)) throw invalidCursor();
+  return new mongoose.Types.ObjectId(data.i);
+};
+
+/* Filter for items strictly after `cursor` in newest-first (`createdAt: -1, _id: -1`) order */
+exports.afterCursorFilter = cursor => ({
+  $or: [
+    { createdAt: { $lt: cursor.createdAt } },
+    { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+  ]
+});
+
+/* Filter for items strictly before `cursor` in newest-first order, i.e. newer items */
+exports.beforeCursorFilter = cursor => ({
+  $or: [
+    { createdAt: { $gt: cursor.createdAt } },
+    { createdAt: cursor.createdAt, _id: { $gt: cursor.id } }
+  ]
+});
+
+/* Whether the client asked for cursor pagination rather than page numbers */
+exports.isCursorRequest = ({ first, after, last, before }) =>
+  [first, after, last, before].some(arg => arg !== undefined && arg !== null);
+
+/* Build `pageInfo` for an already-sliced page of newest-first items */
+exports.buildPageInfo = (items, { hasNextPage, hasPreviousPage }, toCursor = doc => exports.encodeCursor(doc)) => ({
+  hasNextPage,
+  hasPreviousPage,
+  startCursor: items.length ? toCursor(items[0]) : null,
+  endCursor: items.length ? toCursor(items[items.length - 1]) : null
+});
+
+/**
+ * Keyset pagination over newest-first (`createdAt`, `_id`) ordered items.
+ * `runQuery(filter, sort, limit)` must apply the given cursor filter on top of
+ * its own conditions. `first`/`after` page forwards (older items),
+ * `last`/`before` page backwards (newer items).
+ */
+exports.paginate = async (runQuery, { first, after, last, before }, defaultLimit = 10) => {
+  const backward = (last !== undefined && last !== null) || (!!before && !after && (first === undefined || first === null));
+  const limit = exports.clampLimit(backward ? last : first, defaultLimit);
+
+  const conditions = [];
+  if (after) conditions.push(exports.afterCursorFilter(exports.decodeCursor(after)));
+  if (before) conditions.push(exports.beforeCursorFilter(exports.decodeCursor(before)));
+  const filter = conditions.length ? { $and: conditions } : {};
+  const sort = backward ? { createdAt: 1, _id: 1 } : { createdAt: -1, _id: -1 };
+
+  let items = await runQuery(filter, sort, limit + 1);
+  const hasMore = items.length > limit;
+  items = items.slice(0, limit);
+  if (backward) items.reverse();
+
+  return {
+    items,
+    pageInfo: exports.buildPageInfo(items, {
+      hasNextPage: backward ? !!before : hasMore,
+      hasPreviousPage: backward ? hasMore : !!after
+    })
+  };
+};
+
+/**
+ * Page newest-first documents by cursor, or by page number for older clients.
+ * `buildQuery(filter)` returns an unexecuted query with any populates applied.
+ */
+exports.findPage = async (buildQuery, filter, args, { defaultLimit, total }) => {
+  if (exports.isCursorRequest(args)) {
+    return exports.paginate(
+      (cursorFilter, sort, limit) => buildQuery({ ...filter, ...cursorFilter }).sort(sort).limit(limit),
+      args,
+      defaultLimit
+    );
+  }
+
+  const page = Math.max(args.page || 1, 1);
+  const limit = exports.clampLimit(args.limit, defaultLimit);
+  const skip = (page - 1) * limit;
+  const items = await buildQuery(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit);
+  return {
+    items,
+    pageInfo: exports.buildPageInfo(items, { hasNextPage: skip + items.length < total, hasPreviousPage: skip > 0 })
+  };
+};
+
+/* Clamp a client-supplied page size */
+exports.clampLimit = (limit, fallback = 10, max = 50) => Math.min(Math.max(parseInt(limit, 10) || fallback, 1), max);
+
+/* Cursor arguments from a REST query string such as ?first=20&after=<cursor> */
+exports.pageArgsFromQuery = query => {
+  const toInt = value => (value === undefined ? undefined : parseInt(value, 10) || null);
+  const toCursor = value => (typeof value === 'string' && value ? value : undefined);
+  return {
+    first: toInt(query.first),
+    after: toCursor(query.after),
+    last: toInt(query.last),
+    before: toCursor(query.before)
+  };
+};
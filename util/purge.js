@@ -0,0 +1,62 @@
+const User = require('../models/user');
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const { releaseImage } = require('./images');
+const { removeForTargets } = require('./notifications');
+const { removeRevisions } = require('./revisions');
+
+// How long soft-deleted posts and comments can still be restored
+const RESTORE_WINDOW_DAYS = parseInt(process.env.RESTORE_WINDOW_DAYS, 10) || 30;
+const RESTORE_WINDOW_MS = RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+/* Whether a soft-deleted document is still inside its restore window */
+exports.isRestorable = (doc, now = Date.now()) =>
+  !!doc.deletedAt && now - doc.deletedAt.getTime() < RESTORE_WINDOW_MS;
+
+/**
+ * Hard-delete everything whose restore window has passed.
+ * Posts go with their comments, images and edit history. A comment that still has live
+ * replies below it, or deleted ones that can still be restored, is kept as an empty
+ * "[deleted]" placeholder so the thread stays intact; it is removed on a later run
+ * once those replies are gone.
+ */
+exports.purgeExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RESTORE_WINDOW_MS);
+
+  const posts = await Post.find({ deletedAt: { $lte: cutoff } }).select('_id imageUrl');
+  const postIds = posts.map(p => p._id);
+  if (postIds.length > 0) {
+    const postCommentIds = await Comment.find({ post: { $in: postIds } }).distinct('_id');
+    await removeForTargets({ posts: postIds, comments: postCommentIds });
+    await removeRevisions([...postIds, ...postCommentIds]);
+    await Comment.deleteMany({ post: { $in: postIds } });
+    await Post.deleteMany({ _id: { $in: postIds } });
+    await User.updateMany(
+      { $or: [{ posts: { $in: postIds } }, { savedPosts: { $in: postIds } }] },
+      { $pull: { posts: { $in: postIds }, savedPosts: { $in: postIds } } }
+    );
+    await Promise.all(posts.map(p => releaseImage(p.imageUrl)));
+  }
+
+  const expiredIds = await Comment.find({ deletedAt: { $lte: cutoff } }).distinct('_id');
+  const withLiveReplies = new Set(
+    (await Comment.distinct('ancestors', {
+      ancestors: { $in: expiredIds },
+      $or: [{ deletedAt: null }, { deletedAt: { $gt: cutoff } }]
+    })).map(id => id.toString())
+  );
+  const removable = expiredIds.filter(id => !withLiveReplies.has(id.toString()));
+  const placeholders = expiredIds.filter(id => withLiveReplies.has(id.toString()));
+
+  await removeForTargets({ comments: expiredIds });
+  const removed = await Comment.deleteMany({ _id: { $in: removable } });
+  await removeRevisions(expiredIds);
+  const scrubbed = await Comment.updateMany(
+    { _id: { $in: placeholders }, content: { $ne: '[deleted]' } },
+    { $set: { content: '[deleted]', tags: [], mentions: [], likes: [], likesCount: 0 } }
+  );
+
+  return { posts: postIds.length, comments: removed.deletedCount, placeholders: scrubbed.modifiedCount };
+};
+
+exports.RESTORE_WINDOW_DAYS = RESTORE_WINDOW_DAYS;
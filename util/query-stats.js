@@ -0,0 +1,28 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Opt-in (`QUERY_STATS=true`) per-request count of MongoDB operations, logged
+ * when the response is sent. Used to compare resolver cost before and after
+ * changes such as request batching.
+ */
+exports.enabled = process.env.QUERY_STATS === 'true';
+
+exports.middleware = (req, res, next) => {
+  if (!exports.enabled) return next();
+  const stats = { queries: 0, start: Date.now() };
+  res.on('finish', () => {
+    const operation = (req.body && req.body.query || '').replace(/\s+/g, ' ').slice(0, 80);
+    console.log(`[query-stats] ${stats.queries} queries in ${Date.now() - stats.start}ms: ${operation}`);
+  });
+  storage.run(stats, next);
+};
+
+if (exports.enabled) {
+  mongoose.set('debug', () => {
+    const stats = storage.getStore();
+    if (stats) stats.queries++;
+  });
+}
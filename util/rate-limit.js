@@ -0,0 +1,145 @@
+const { RateLimitedError } = require('./errors');
+
+/**
+ * Fixed-window counters kept in process memory. Good for a single instance;
+ * run several and swap in a shared backend with `setStore`. A store needs:
+ *   increment(key, windowMs) -> { count, resetAt }   (starts a window if none is open)
+ *   get(key)                 -> { count, resetAt } | null
+ *   set(key, count, ttlMs)
+ *   reset(key)
+ * Every method may return a promise.
+ */
+class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+    // Drop expired windows now and then so idle keys do not pile up
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    if (this.sweeper.unref) this.sweeper.unref();
+  }
+
+  increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= now) {
+      const fresh = { count: 1, resetAt: now + windowMs };
+      this.entries.set(key, fresh);
+      return { ...fresh };
+    }
+    entry.count += 1;
+    return { ...entry };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= Date.now()) return null;
+    return { ...entry };
+  }
+
+  set(key, count, ttlMs) {
+    this.entries.set(key, { count, resetAt: Date.now() + ttlMs });
+  }
+
+  reset(key) {
+    this.entries.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) this.entries.delete(key);
+    });
+  }
+}
+
+let store = new MemoryStore();
+
+/* Parse a "<max>/<seconds>" override such as RATE_LIMIT_LOGIN=10/900 */
+const rule = (envName, max, seconds) => {
+  const [envMax, envSeconds] = (process.env[envName] || '').split('/').map(n => parseInt(n, 10));
+  return {
+    max: envMax > 0 ? envMax : max,
+    windowMs: (envSeconds > 0 ? envSeconds : seconds) * 1000
+  };
+};
+
+// `ip` rules count every caller from one address; `user` rules count per account.
+const RULES = {
+  graphql: { ip: rule('RATE_LIMIT_GRAPHQL', 300, 60), user: rule('RATE_LIMIT_GRAPHQL_USER', 300, 60) },
+  api: { ip: rule('RATE_LIMIT_API', 300, 60), user: rule('RATE_LIMIT_API_USER', 300, 60) },
+  login: { ip: rule('RATE_LIMIT_LOGIN', 20, 15 * 60) },
+  createUser: { ip: rule('RATE_LIMIT_SIGNUP', 5, 60 * 60) },
+  createPost: { user: rule('RATE_LIMIT_POSTS', 10, 10 * 60), ip: rule('RATE_LIMIT_POSTS_IP', 30, 10 * 60) },
+  comment: { user: rule('RATE_LIMIT_COMMENTS', 20, 60), ip: rule('RATE_LIMIT_COMMENTS_IP', 60, 60) },
+  like: { user: rule('RATE_LIMIT_LIKES', 60, 60), ip: rule('RATE_LIMIT_LIKES_IP', 180, 60) },
+  report: { user: rule('RATE_LIMIT_REPORTS', 20, 60 * 60) },
+  mail: { user: rule('RATE_LIMIT_MAIL', 5, 60 * 60), ip: rule('RATE_LIMIT_MAIL_IP', 20, 60 * 60) },
+  postImage: { user: rule('RATE_LIMIT_UPLOADS', 20, 10 * 60), ip: rule('RATE_LIMIT_UPLOADS_IP', 60, 10 * 60) }
+};
+
+// Failed logins per account and address before it is locked, and how long the first and longest locks last
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60) * 1000;
+const LOCKOUT_MAX_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 60 * 60) * 1000;
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const secondsUntil = resetAt => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+/* Replace the backing store, e.g. with one shared between instances */
+exports.setStore = newStore => {
+  store = newStore;
+};
+
+/**
+ * Count one `ruleName` action for the caller and throw RATE_LIMITED once
+ * either its per-IP or its per-user budget is spent. `caller` is anything
+ * with `ip` and/or `userId` (a GraphQL context or an express request).
+ */
+exports.limit = async (ruleName, caller) => {
+  const limits = RULES[ruleName];
+  const checks = [];
+  if (limits.ip && caller.ip) checks.push([`${ruleName}:ip:${caller.ip}`, limits.ip]);
+  if (limits.user && caller.userId) checks.push([`${ruleName}:user:${caller.userId}`, limits.user]);
+
+  for (const [key, { max, windowMs }] of checks) {
+    const { count, resetAt } = await store.increment(key, windowMs);
+    if (count > max) {
+      throw new RateLimitedError('Too many requests. Please try again later.', secondsUntil(resetAt));
+    }
+  }
+};
+
+/* Express middleware applying `ruleName` to every request that reaches it */
+exports.middleware = ruleName => (req, res, next) => {
+  exports.limit(ruleName, { ip: req.ip, userId: req.userId }).then(() => next(), next);
+};
+
+// Lockouts count the failures for one account from one address, so a stranger
+// guessing passwords locks out only themselves, not the account's owner.
+// Guessing from many addresses is held back by the per-IP `login` rule.
+const attempt = (account, ip) => `${account.toLowerCase()}:${ip || 'unknown'}`;
+const lockKey = (account, ip) => `login:lock:${attempt(account, ip)}`;
+const failureKey = (account, ip) => `login:fail:${attempt(account, ip)}`;
+
+/* Refuse a login while the account is locked out for this address */
+exports.checkLoginLock = async (account, ip) => {
+  const lock = await store.get(lockKey(account, ip));
+  if (lock) {
+    throw new RateLimitedError('Too many failed login attempts. Please try again later.', secondsUntil(lock.resetAt));
+  }
+};
+
+/* Record a failed login; from the threshold on, each failure locks the account for this address twice as long */
+exports.recordLoginFailure = async (account, ip) => {
+  const { count } = await store.increment(failureKey(account, ip), FAILURE_MEMORY_MS);
+  if (count < LOCKOUT_THRESHOLD) return;
+  const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+  await store.set(lockKey(account, ip), count, lockMs);
+};
+
+/* Forget earlier failures from this address once the account logs in */
+exports.clearLoginFailures = async (account, ip) => {
+  await store.reset(failureKey(account, ip));
+  await store.reset(lockKey(account, ip));
+};
+
+exports.MemoryStore = MemoryStore;
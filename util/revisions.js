@@ -0,0 +1,21 @@
+const Revision = require('../models/revision');
+const { releaseImage } = require('./images');
+
+/* Snapshot a post or comment as it is now, before an edit overwrites it */
+exports.recordRevision = (targetType, doc, editor) =>
+  Revision.create({
+    targetType,
+    target: doc._id,
+    editor,
+    title: targetType === 'post' ? doc.title : null,
+    content: doc.content,
+    imageUrl: targetType === 'post' ? doc.imageUrl || '' : null
+  });
+
+/* Drop the history of removed posts or comments, with the images kept only for it */
+exports.removeRevisions = async targetIds => {
+  if (targetIds.length === 0) return;
+  const revisions = await Revision.find({ target: { $in: targetIds } }).select('imageUrl');
+  await Revision.deleteMany({ target: { $in: targetIds } });
+  await Promise.all([...new Set(revisions.map(r => r.imageUrl).filter(Boolean))].map(releaseImage));
+};
@@ -0,0 +1,46 @@
+const SNIPPET_LENGTH = 160;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/* Split a search query into lower-cased terms, dropping punctuation and search operators */
+exports.tokenize = query => (query || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}_]+/u)
+  .filter(term => term.length > 0);
+
+exports.escapeRegex = escapeRegex;
+
+/**
+ * Cut a window of `text` around the first matching term and wrap every match
+ * in `<mark>`. The rest of the text is HTML-escaped, so the snippet is safe
+ * to render as HTML.
+ */
+exports.buildSnippet = (text, terms) => {
+  if (!text) return '';
+  const pattern = terms.length ? new RegExp(terms.map(escapeRegex).join('|'), 'gi') : null;
+
+  let start = 0;
+  const firstMatch = pattern ? text.search(pattern) : -1;
+  if (firstMatch > SNIPPET_LENGTH / 3) start = firstMatch - Math.floor(SNIPPET_LENGTH / 3);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const window = text.slice(start, end);
+
+  let snippet = '';
+  let last = 0;
+  if (pattern) {
+    window.replace(pattern, (match, offset) => {
+      snippet += escapeHtml(window.slice(last, offset)) + '<mark>' + escapeHtml(match) + '</mark>';
+      last = offset + match.length;
+      return match;
+    });
+  }
+  snippet += escapeHtml(window.slice(last));
+
+  return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const Session = require('../models/session');
+const ActionToken = require('../models/action-token');
+const { UnauthenticatedError, ValidationError } = require('./errors');
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 30 * 24 * 60 * 60;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const invalidRefreshToken = () => new UnauthenticatedError('Invalid or expired refresh token.');
+
+// Refresh tokens look like `<sessionId>.<secret>`; only the secret's hash is stored.
+const parseRefreshToken = refreshToken => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) throw invalidRefreshToken();
+  return { sessionId, secret };
+};
+
+const signTokens = (user, session, secret) => {
+  const token = jwt.sign(
+    { userId: user._id.toString(), email: user.email, sid: session._id.toString(), gen: session.generation },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  return {
+    token,
+    refreshToken: `${session._id.toString()}.${secret}`,
+    userId: user._id.toString(),
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+/* Start a new session for a freshly authenticated user */
+exports.issueTokens = async user => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000)
+  });
+  return signTokens(user, session, secret);
+};
+
+/* Exchange a refresh token for a new token pair, invalidating the old pair */
+exports.rotateRefreshToken = async (refreshToken, loadUser) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const newSecret = crypto.randomBytes(48).toString('hex');
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hashToken(secret), revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { refreshTokenHash: hashToken(newSecret), expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000) },
+      $inc: { generation: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A known session presented with a stale secret means an already-rotated
+    // token is being replayed, so the whole session is treated as compromised.
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    throw invalidRefreshToken();
+  }
+
+  const user = await loadUser(session.user);
+  if (!user || user.suspended) {
+    await Session.updateOne({ _id: session._id }, { $set: { revokedAt: new Date() } });
+    throw invalidRefreshToken();
+  }
+
+  return signTokens(user, session, newSecret);
+};
+
+/* Verify an access token and make sure its session is still current */
+exports.verifyAccessToken = async token => {
+  const decodedToken = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decodedToken.sid) throw new UnauthenticatedError('Token has no session.');
+
+  const session = await Session.findById(decodedToken.sid).select('user generation revokedAt');
+  if (
+    !session ||
+    session.revokedAt ||
+    session.generation !== decodedToken.gen ||
+    session.user.toString() !== decodedToken.userId
+  ) {
+    throw new UnauthenticatedError('Token has been revoked.');
+  }
+  return decodedToken;
+};
+
+exports.revokeSession = async sessionId => {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+exports.revokeRefreshToken = async refreshToken => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const result = await Session.updateOne(
+    { _id: sessionId, refreshTokenHash: hashToken(secret), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/* Revoke every session of a user, optionally keeping the one making the request */
+exports.revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+};
+
+/* Create a single-use token for `purpose`, replacing any unused one from before */
+exports.issueActionToken = async (userId, purpose, ttlSeconds) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await ActionToken.deleteMany({ user: userId, purpose, usedAt: null });
+  await ActionToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+  });
+  return token;
+};
+
+/* Spend a token; resolves to the user id it was issued for */
+exports.consumeActionToken = async (token, purpose) => {
+  const now = new Date();
+  const actionToken = token
+    ? await ActionToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { new: true }
+    )
+    : null;
+  if (!actionToken) {
+    throw new ValidationError('Invalid or expired token.', [{ field: 'token', message: 'Invalid or expired token.' }]);
+  }
+  return actionToken.user;
+};
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Standalone servers (a local mongod outside a replica set) cannot run
+// transactions. Once we find out we are on one, we stop trying.
+let transactionsSupported = true;
+
+const isTransactionUnsupported = err =>
+  err.code === 20 || /Transaction numbers are only allowed|replica set/i.test(err.message || '');
+
+/**
+ * Run `work(session)` in a transaction and resolve to what it returns. Every
+ * write inside must pass `{ session }`; the driver retries the whole function
+ * on transient errors, so keep notifications and socket events out of it.
+ *
+ * On a standalone server `work` runs with a null session instead: each write
+ * is still atomic on its own, and the integrity check repairs what a crash
+ * between two of them leaves behind.
+ */
+exports.withTransaction = async work => {
+  if (!transactionsSupported) return work(null);
+  try {
+    return await mongoose.connection.transaction(work);
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err;
+    transactionsSupported = false;
+    return work(null);
+  }
+};
@@ -0,0 +1,106 @@
+const User = require('../models/user');
+
+// Handles compare without regard to case ("Jane" and "jane" are the same handle)
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 30;
+// Letters, digits, "_" and "."; no leading, trailing or doubled "." so a
+// handle reads the same when @mentioned at the end of a sentence
+const USERNAME_PATTERN = /^[a-zA-Z0-9_](?:[a-zA-Z0-9_]|\.(?!\.))*$/;
+
+// Names that would be confusing or collide with app routes
+const RESERVED_USERNAMES = new Set([
+  'about', 'admin', 'administrator', 'api', 'auth', 'deleted', 'everyone', 'explore', 'feed', 'graphql',
+  'help', 'images', 'login', 'logout', 'me', 'mod', 'moderator', 'new', 'notifications', 'null', 'post',
+  'posts', 'privacy', 'root', 'search', 'settings', 'signup', 'staff', 'support', 'system', 'terms',
+  'undefined', 'user', 'users'
+]);
+
+// How many old handles of a user keep pointing to them after renames
+const MAX_PREVIOUS_USERNAMES = 5;
+
+const isReserved = username => RESERVED_USERNAMES.has(username.toLowerCase());
+
+/* List what is wrong with the format of a handle (ignores whether it is taken) */
+const usernameErrors = (username, field = 'username') => {
+  const errors = [];
+  if (typeof username !== 'string' || username.length < MIN_LENGTH || username.length > MAX_LENGTH) {
+    errors.push({ field, message: `Username must be ${MIN_LENGTH} to ${MAX_LENGTH} characters long.` });
+  } else if (!USERNAME_PATTERN.test(username) || username.endsWith('.')) {
+    errors.push({ field, message: 'Username may only contain letters, numbers, "_" and single "." between them.' });
+  } else if (isReserved(username)) {
+    errors.push({ field, message: 'This username is reserved.' });
+  }
+  return errors;
+};
+
+/* Id of the user a handle belongs to, now or before a rename; null if nobody has it */
+const resolveUsername = async username => {
+  const current = await User.findOne({ username }).collation(CASE_INSENSITIVE).select('_id');
+  if (current) return current._id;
+  const renamed = await User.findOne({ previousUsernames: username }).collation(CASE_INSENSITIVE).select('_id');
+  return renamed ? renamed._id : null;
+};
+
+/* Whether a handle is held by anyone other than `exceptUserId`, currently or as an old handle */
+const isUsernameTaken = async (username, exceptUserId = null) => {
+  const filter = { $or: [{ username }, { previousUsernames: username }] };
+  if (exceptUserId) filter._id = { $ne: exceptUserId };
+  return !!(await User.exists(filter).collation(CASE_INSENSITIVE));
+};
+
+/* Turn a name or email into something that passes the format rules, or '' */
+const toHandle = text =>
+  (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, '_')
+    .replace(/[^a-z0-9_.]/g, '')
+    .replace(/\.{2,}/g, '.')
+    .replace(/^[._]+|[._]+$/g, '')
+    .slice(0, MAX_LENGTH - 6)
+    .replace(/\.+$/, '');
+
+/**
+ * Pick a free handle for someone called `name` with address `email`, adding a
+ * number when the obvious one is taken. `isTaken` can be swapped for a check
+ * against handles already given out, e.g. during a migration.
+ */
+const suggestUsername = async ({ name, email }, isTaken = username => isUsernameTaken(username)) => {
+  const candidates = [toHandle(name), toHandle((email || '').split('@')[0])];
+  let base = candidates.find(c => usernameErrors(c).length === 0);
+  if (base && !(await isTaken(base))) return base;
+
+  base = base || 'user';
+  for (let n = 2; n < 100; n++) {
+    if (!(await isTaken(`${base}${n}`))) return `${base}${n}`;
+  }
+  // Very common names: fall back to random suffixes
+  base = base.slice(0, MAX_LENGTH - 6);
+  for (;;) {
+    const candidate = `${base}${Math.floor(100000 + Math.random() * 900000)}`;
+    if (!(await isTaken(candidate))) return candidate;
+  }
+};
+
+/* Rename `user` (not saved), keeping the old handle so links to it still resolve */
+const applyRename = (user, username) => {
+  const previous = user.username;
+  const lower = username.toLowerCase();
+  const kept = (user.previousUsernames || []).filter(h => h.toLowerCase() !== lower);
+  if (previous && previous.toLowerCase() !== lower) kept.unshift(previous);
+  user.previousUsernames = kept.slice(0, MAX_PREVIOUS_USERNAMES);
+  user.username = username;
+};
+
+module.exports = {
+  CASE_INSENSITIVE,
+  RESERVED_USERNAMES,
+  usernameErrors,
+  resolveUsername,
+  isUsernameTaken,
+  suggestUsername,
+  applyRename
+};